@@ -26,8 +26,15 @@
 const DEFAULT_PREFERENCES = {
   sortPreference: 'date-newest',
   filterPreference: 'all',
+  hiddenEventTypes: [],
+  hideOutdated: false,
   autoSort: false,
   showNotifications: true,
+  collapseBots: true,
+  botLogins: [],
+  loadHiddenItems: false,
+  stalenessThresholds: { aging: 2, stale: 7 },
+  apiEndpoint: 'https://api.github.com/graphql',
   hasSeenOnboarding: false
 };
 
@@ -38,11 +45,75 @@ const DEFAULT_PREFERENCES = {
 const STORAGE_KEYS = {
   SORT_PREFERENCE: 'sortPreference',
   FILTER_PREFERENCE: 'filterPreference',
+  HIDDEN_EVENT_TYPES: 'hiddenEventTypes',
+  HIDE_OUTDATED: 'hideOutdated',
   AUTO_SORT: 'autoSort',
   SHOW_NOTIFICATIONS: 'showNotifications',
+  COLLAPSE_BOTS: 'collapseBots',
+  BOT_LOGINS: 'botLogins',
+  LOAD_HIDDEN_ITEMS: 'loadHiddenItems',
+  STALENESS_THRESHOLDS: 'stalenessThresholds',
+  API_ENDPOINT: 'apiEndpoint',
   HAS_SEEN_ONBOARDING: 'hasSeenOnboarding'
 };
 
+/**
+ * chrome.storage.local key of the GitHub token used for API requests
+ * Kept out of sync storage so it never leaves this browser.
+ * @constant {string}
+ */
+const API_TOKEN_KEY = 'githubToken';
+
+/**
+ * Hosts the token may be sent to over plain http, for a local mock server
+ * @constant {string[]}
+ */
+const LOCAL_API_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * Most pages of 100 review threads fetched per pull request
+ * @constant {number}
+ */
+const MAX_THREAD_PAGES = 10;
+
+/**
+ * GraphQL query for a page of a pull request's review threads
+ * @constant {string}
+ */
+const REVIEW_THREADS_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            isOutdated
+            path
+            line
+            startLine
+            originalLine
+            originalStartLine
+            comments(first: 100) {
+              nodes { databaseId createdAt author { login } }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Toolbar badge colors (Primer attention and success emphasis)
+ * @constant {Object.<string, string>}
+ */
+const BADGE_COLORS = {
+  pending: '#bf8700',
+  resolved: '#1a7f37'
+};
+
 // ============================================
 // LIFECYCLE EVENTS
 // ============================================
@@ -111,18 +182,30 @@ async function migratePreferences(previousVersion, currentVersion) {
 // KEYBOARD SHORTCUTS
 // ============================================
 
+/**
+ * Messages sent to the active PR tab for each keyboard command
+ * @constant {Object.<string, Object>}
+ */
+const COMMAND_MESSAGES = {
+  'sort-comments': { action: 'toggleSort' },
+  'next-unresolved': { action: 'navigateUnresolved', direction: 'next' },
+  'previous-unresolved': { action: 'navigateUnresolved', direction: 'previous' }
+};
+
 /**
  * Handle keyboard command shortcuts
- * Listens for the 'sort-comments' command defined in manifest.json
+ * Listens for the 'sort-comments', 'next-unresolved' and
+ * 'previous-unresolved' commands defined in manifest.json
  */
 if (chrome.commands?.onCommand) {
   chrome.commands.onCommand.addListener(async (command) => {
     try {
-      if (command === 'sort-comments') {
+      const message = COMMAND_MESSAGES[command];
+      if (message) {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         
         if (tab?.url?.includes('github.com') && tab.url.includes('/pull/')) {
-          await sendMessageToTab(tab.id, { action: 'toggleSort' });
+          await sendMessageToTab(tab.id, message);
         }
       }
     } catch (error) {
@@ -206,8 +289,15 @@ async function handleMessage(request, sender) {
       return await chrome.storage.sync.get([
         STORAGE_KEYS.SORT_PREFERENCE,
         STORAGE_KEYS.FILTER_PREFERENCE,
+        STORAGE_KEYS.HIDDEN_EVENT_TYPES,
+        STORAGE_KEYS.HIDE_OUTDATED,
         STORAGE_KEYS.AUTO_SORT,
-        STORAGE_KEYS.SHOW_NOTIFICATIONS
+        STORAGE_KEYS.SHOW_NOTIFICATIONS,
+        STORAGE_KEYS.COLLAPSE_BOTS,
+        STORAGE_KEYS.BOT_LOGINS,
+        STORAGE_KEYS.LOAD_HIDDEN_ITEMS,
+        STORAGE_KEYS.STALENESS_THRESHOLDS,
+        STORAGE_KEYS.API_ENDPOINT
       ]);
       
     case 'savePreferences':
@@ -219,6 +309,16 @@ async function handleMessage(request, sender) {
       console.log(`[Content Script ${sender.tab?.id}]: ${request.message}`);
       return { received: true };
       
+    case 'updateUnresolvedBadge':
+      // Reported by the content script whenever its unresolved count changes
+      if (!sender.tab?.id) return { error: 'No tab' };
+      await updateBadge(sender.tab.id, isPullRequestUrl(sender.tab.url) ? request : null);
+      return { success: true };
+      
+    case 'fetchReviewThreads':
+      // Fetched here so the token is never handed to the page's scripts
+      return await fetchReviewThreads(request.owner, request.repo, request.number);
+      
     case 'getVersion':
       return { version: chrome.runtime.getManifest().version };
       
@@ -227,10 +327,167 @@ async function handleMessage(request, sender) {
   }
 }
 
+// ============================================
+// GITHUB API
+// ============================================
+
+/**
+ * Run a GraphQL query against the configured endpoint
+ * @param {string} endpoint - GraphQL endpoint URL
+ * @param {string} token - GitHub token
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} The response data
+ * @throws {Error} On HTTP errors and GraphQL errors
+ */
+async function queryGraphQL(endpoint, token, query, variables) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ query, variables })
+  });
+  if (!response.ok) {
+    throw new Error(`GitHub API responded with ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (result.errors?.length) {
+    throw new Error(result.errors[0].message);
+  }
+  return result.data;
+}
+
+/**
+ * Convert an API review thread to what the content script uses
+ * Comment IDs are turned into the "discussion_r…" IDs of the page, so
+ * threads can be matched with their elements.
+ * @param {Object} node - reviewThreads node
+ * @returns {Object} { key, isResolved, isOutdated, path, lines, comments }
+ */
+function normalizeReviewThread(node) {
+  const comments = (node.comments?.nodes || []).map(comment => ({
+    id: `discussion_r${comment.databaseId}`,
+    author: comment.author?.login || null,
+    createdAt: comment.createdAt
+  }));
+  const end = node.line ?? node.originalLine;
+  const start = (node.line ? node.startLine : node.originalStartLine) ?? end;
+
+  return {
+    key: comments[0]?.id || node.id,
+    isResolved: node.isResolved === true,
+    isOutdated: node.isOutdated === true,
+    path: node.path || null,
+    lines: end ? { start: Math.min(start, end), end: Math.max(start, end) } : null,
+    comments
+  };
+}
+
+/**
+ * Fetch every review thread of a pull request from the GitHub GraphQL API
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Pull request number
+ * @returns {Promise<Object>} { threads } or, without a token, { disabled: true }
+ * @throws {Error} When the endpoint isn't https, or the API can't be reached
+ *   or rejects the query
+ */
+async function fetchReviewThreads(owner, repo, number) {
+  const [{ [API_TOKEN_KEY]: token }, prefs] = await Promise.all([
+    chrome.storage.local.get([API_TOKEN_KEY]),
+    chrome.storage.sync.get([STORAGE_KEYS.API_ENDPOINT])
+  ]);
+  if (!token) return { disabled: true };
+
+  const endpoint = prefs[STORAGE_KEYS.API_ENDPOINT] || DEFAULT_PREFERENCES.apiEndpoint;
+  const { protocol, hostname } = new URL(endpoint);
+  if (protocol !== 'https:' && !(protocol === 'http:' && LOCAL_API_HOSTS.includes(hostname))) {
+    throw new Error('The GitHub API endpoint must use https');
+  }
+  const threads = [];
+  let cursor = null;
+
+  for (let page = 0; page < MAX_THREAD_PAGES; page++) {
+    const data = await queryGraphQL(endpoint, token, REVIEW_THREADS_QUERY, {
+      owner,
+      repo,
+      number,
+      cursor
+    });
+    const connection = data?.repository?.pullRequest?.reviewThreads;
+    if (!connection) throw new Error('Pull request not found');
+
+    threads.push(...connection.nodes.map(normalizeReviewThread));
+    if (!connection.pageInfo.hasNextPage) break;
+    cursor = connection.pageInfo.endCursor;
+  }
+
+  return { threads };
+}
+
+// ============================================
+// TOOLBAR BADGE
+// ============================================
+
+/**
+ * Check whether a URL is a GitHub pull request page
+ * @param {string} [url] - Tab URL
+ * @returns {boolean} True for github.com pull request URLs
+ */
+function isPullRequestUrl(url) {
+  return !!url && url.includes('github.com') && url.includes('/pull/');
+}
+
+/**
+ * Set the per-tab toolbar badge: the unresolved count on orange while
+ * threads are pending, a check on green once all are resolved, and
+ * nothing for tabs without a PR
+ * @param {number} tabId - ID of the tab
+ * @param {{count: number, state: string}|null} status - Reported status, or null to clear
+ * @returns {Promise<void>}
+ */
+async function updateBadge(tabId, status) {
+  try {
+    if (!status) {
+      await chrome.action.setBadgeText({ tabId, text: '' });
+      return;
+    }
+
+    const pending = status.state === 'pending' && status.count > 0;
+    await chrome.action.setBadgeText({
+      tabId,
+      text: pending ? String(status.count) : '✓'
+    });
+    await chrome.action.setBadgeBackgroundColor({
+      tabId,
+      color: pending ? BADGE_COLORS.pending : BADGE_COLORS.resolved
+    });
+    if (chrome.action.setBadgeTextColor) {
+      await chrome.action.setBadgeTextColor({ tabId, color: '#ffffff' });
+    }
+  } catch (error) {
+    // The tab may have closed in the meantime
+    console.log('[PR Enhancer] Could not update badge:', error.message);
+  }
+}
+
 // ============================================
 // TAB UPDATES
 // ============================================
 
+/**
+ * Clear the badge when a tab leaves its pull request, including GitHub's
+ * in-page navigation which doesn't reload the content script
+ */
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url && !isPullRequestUrl(changeInfo.url)) {
+    updateBadge(tabId, null);
+  }
+});
+
 /**
  * Handle tab updates to reinject content scripts when needed
  * This handles GitHub's SPA navigation
@@ -238,7 +495,7 @@ async function handleMessage(request, sender) {
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   // Only act when page is fully loaded and it's a GitHub PR page
   if (changeInfo.status !== 'complete') return;
-  if (!tab.url?.includes('github.com') || !tab.url.includes('/pull/')) return;
+  if (!isPullRequestUrl(tab.url)) return;
   
   try {
     // Check if content script is already injected
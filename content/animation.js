@@ -0,0 +1,161 @@
+/**
+ * PR Enhancer - Animation Module
+ *
+ * @fileoverview FLIP animations for timeline reorders, with scroll anchoring
+ * @module animation
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, TIMING } = window.PRSorter.Core;
+
+  /**
+   * Easing of the move animation (Primer easeInOut)
+   * @constant {string}
+   */
+  const EASING = "cubic-bezier(0.4, 0, 0.2, 1)";
+
+  /**
+   * How far outside the viewport items still get animated, in viewport heights
+   * @constant {number}
+   */
+  const VIEWPORT_MARGIN = 1;
+
+  // ============================================
+  // MEASUREMENT
+  // ============================================
+
+  /**
+   * Check whether the user asked the OS to minimize motion
+   * @returns {boolean} True if animations should be skipped
+   */
+  function prefersReducedMotion() {
+    return (
+      typeof window.matchMedia === "function" &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+  }
+
+  /**
+   * Check whether an element is rendered (not display: none)
+   * @param {DOMRect} rect - The element's bounding rect
+   * @returns {boolean} True if the element takes up space
+   */
+  function isRendered(rect) {
+    return rect.width > 0 || rect.height > 0;
+  }
+
+  /**
+   * Check whether a rect lies in or near the viewport
+   * @param {DOMRect} rect - Bounding rect
+   * @returns {boolean} True if within VIEWPORT_MARGIN of the viewport
+   */
+  function isNearViewport(rect) {
+    const margin = window.innerHeight * VIEWPORT_MARGIN;
+    return (
+      isRendered(rect) &&
+      rect.bottom > -margin &&
+      rect.top < window.innerHeight + margin
+    );
+  }
+
+  /**
+   * Measure the bounding rect of every GitHub item in the timeline
+   * Extension rows are skipped: they are recreated on every reorder.
+   * @param {Element} container - The discussion container
+   * @returns {Map<Element, DOMRect>} Rects by element
+   */
+  function measureItems(container) {
+    const rects = new Map();
+    Array.from(container.children).forEach((el) => {
+      if (!el.matches(SELECTORS.EXTENSION_ROW)) {
+        rects.set(el, el.getBoundingClientRect());
+      }
+    });
+    return rects;
+  }
+
+  /**
+   * Find the item the user is reading: the first rendered item crossing or
+   * below the top of the viewport. Only set once the timeline has been
+   * scrolled into, so a reorder seen from above doesn't scroll the page.
+   *
+   * @param {Element} container - The discussion container
+   * @param {Map<Element, DOMRect>} rects - Rects measured before the reorder
+   * @returns {{element: Element, top: number}|null} The scroll anchor
+   */
+  function findScrollAnchor(container, rects) {
+    if (container.getBoundingClientRect().top >= 0) return null;
+
+    for (const [element, rect] of rects) {
+      if (isRendered(rect) && rect.bottom > 0) {
+        return { element, top: rect.top };
+      }
+    }
+    return null;
+  }
+
+  // ============================================
+  // FLIP
+  // ============================================
+
+  /**
+   * Reorder the timeline with a FLIP animation
+   * First: measure items. Last: run the DOM change and restore the scroll
+   * anchor. Invert + Play: animate items in or near the viewport from their
+   * old position; items arriving from far away fade in instead.
+   *
+   * @param {Element} container - The discussion container
+   * @param {Function} reorder - Synchronously applies the DOM change
+   */
+  function animateReorder(container, reorder) {
+    const first = measureItems(container);
+    const anchor = findScrollAnchor(container, first);
+
+    reorder();
+
+    // Keep the comment being read at the same place on screen
+    if (anchor && anchor.element.parentNode === container) {
+      const rect = anchor.element.getBoundingClientRect();
+      if (isRendered(rect) && rect.top !== anchor.top) {
+        window.scrollBy(0, rect.top - anchor.top);
+      }
+    }
+
+    if (prefersReducedMotion()) return;
+
+    const last = measureItems(container);
+    last.forEach((lastRect, el) => {
+      if (!isNearViewport(lastRect) || typeof el.animate !== "function") {
+        return;
+      }
+
+      const firstRect = first.get(el);
+      if (firstRect && isNearViewport(firstRect)) {
+        const deltaY = firstRect.top - lastRect.top;
+        if (deltaY === 0) return;
+        el.animate(
+          [
+            { transform: `translateY(${deltaY}px)` },
+            { transform: "translateY(0)" },
+          ],
+          { duration: TIMING.ANIMATION_DURATION, easing: EASING }
+        );
+      } else {
+        el.animate([{ opacity: 0 }, { opacity: 1 }], {
+          duration: TIMING.ANIMATION_DURATION,
+          easing: EASING,
+        });
+      }
+    });
+  }
+
+  // Export to global namespace
+  window.PRSorter.Animation = {
+    animateReorder,
+    prefersReducedMotion,
+  };
+})();
@@ -0,0 +1,178 @@
+/**
+ * PR Enhancer - API Module
+ *
+ * @fileoverview Optional review thread data from the GitHub GraphQL API, used over DOM heuristics when a token is set
+ * @module api
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, getPullRequestKey } = window.PRSorter.Core;
+
+  /**
+   * Least time between two refreshes triggered by page changes, in
+   * milliseconds
+   * @constant {number}
+   */
+  const REFRESH_INTERVAL = 30 * 1000;
+
+  // Review threads of the current PR from the API, or null without a token
+  // or until the API could be reached
+  let _threads = null;
+  // The same threads by the "discussion_r…" ID of each of their comments
+  let _threadsByComment = new Map();
+  // No token is set, so only a forced refresh asks again
+  let _disabled = false;
+  let _lastFetch = 0;
+  let _pending = null;
+
+  // Will be available after ui.js loads
+  let updateUnresolvedButton;
+
+  // Initialize UI function references after ui.js loads
+  setTimeout(() => {
+    if (window.PRSorter.UI) {
+      updateUnresolvedButton = window.PRSorter.UI.updateUnresolvedButton;
+    }
+  }, 0);
+
+  // ============================================
+  // LOADING
+  // ============================================
+
+  /**
+   * Keep the threads returned by the service worker and index them by
+   * comment ID
+   * @param {Object[]|null} threads - Review threads, or null to fall back
+   *   to the DOM
+   */
+  function setApiThreads(threads) {
+    _threads = Array.isArray(threads) ? threads : null;
+    _threadsByComment = new Map();
+    (_threads || []).forEach((thread) => {
+      thread.comments.forEach((comment) => {
+        _threadsByComment.set(comment.id, thread);
+      });
+    });
+  }
+
+  /**
+   * Fetch the current PR's review threads through the service worker
+   * Resolves with null, leaving the DOM heuristics in charge, when no token
+   * is set or outside a PR. A failed request (rate limit, server error,
+   * service worker asleep) keeps the threads of the last good one.
+   *
+   * @returns {Promise<Object[]|null>} The threads
+   */
+  function loadApiThreads() {
+    const key = getPullRequestKey();
+    if (!key || !chrome?.runtime?.id) {
+      setApiThreads(null);
+      return Promise.resolve(null);
+    }
+    if (_pending) return _pending;
+
+    const [owner, repo, number] = key.split("/");
+    _lastFetch = Date.now();
+    _pending = chrome.runtime
+      .sendMessage({
+        action: "fetchReviewThreads",
+        owner,
+        repo,
+        number: Number(number),
+      })
+      .then((response) => {
+        _disabled = !!(response && response.disabled);
+        if (_disabled) {
+          setApiThreads(null);
+        } else if (response && Array.isArray(response.threads)) {
+          setApiThreads(response.threads);
+        } else {
+          console.warn(
+            "[PR Enhancer] GitHub API unavailable, retrying later:",
+            response && response.error
+          );
+        }
+        return _threads;
+      })
+      .catch(() => {
+        // Service worker unavailable; keep what was loaded and retry later
+        return _threads;
+      })
+      .finally(() => {
+        _pending = null;
+      });
+    return _pending;
+  }
+
+  /**
+   * Refetch the threads after the page changed (e.g. a reply was posted or
+   * a thread resolved), at most once per REFRESH_INTERVAL unless forced,
+   * then update the unresolved count
+   * @param {boolean} [force=false] - Refetch now, e.g. after the token changed
+   * @returns {Promise<void>}
+   */
+  function refreshApiThreads(force = false) {
+    if (!force && (_disabled || Date.now() - _lastFetch < REFRESH_INTERVAL)) {
+      return Promise.resolve();
+    }
+    return loadApiThreads().then(() => {
+      if (updateUnresolvedButton) updateUnresolvedButton();
+    });
+  }
+
+  // ============================================
+  // LOOKUP
+  // ============================================
+
+  /**
+   * Get the current PR's review threads from the API
+   * @returns {Object[]|null} Threads ({ key, isResolved, isOutdated, path,
+   *   lines, comments }), or null when the DOM is the only source
+   */
+  function getApiThreads() {
+    return _threads;
+  }
+
+  /**
+   * Get the API threads whose comments are rendered in an element
+   * @param {Element} element - Review thread or timeline item
+   * @returns {Object[]} Matching threads, none without API data
+   */
+  function getApiThreadsIn(element) {
+    if (!_threads) return [];
+
+    const comments = Array.from(
+      element.querySelectorAll(SELECTORS.REVIEW_COMMENT)
+    );
+    if (element.matches(SELECTORS.REVIEW_COMMENT)) comments.unshift(element);
+
+    const threads = new Set();
+    comments.forEach((comment) => {
+      const thread = _threadsByComment.get(comment.id);
+      if (thread) threads.add(thread);
+    });
+    return Array.from(threads);
+  }
+
+  /**
+   * Get the API thread rendered in a review thread element
+   * @param {Element} element - Review thread element
+   * @returns {Object|null} The thread, or null without API data for it
+   */
+  function getApiThread(element) {
+    return getApiThreadsIn(element)[0] || null;
+  }
+
+  // Export to global namespace
+  window.PRSorter.Api = {
+    loadApiThreads,
+    refreshApiThreads,
+    getApiThreads,
+    getApiThreadsIn,
+    getApiThread,
+  };
+})();
@@ -0,0 +1,193 @@
+/**
+ * PR Enhancer - Bots Module
+ *
+ * @fileoverview Folds runs of consecutive bot comments into expandable summary rows
+ * @module bots
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, state, createOcticon, safeQuery, safeQueryAll } =
+    window.PRSorter.Core;
+  const { extractCommentData } = window.PRSorter.Comments;
+  const { isEventHidden } = window.PRSorter.Filters;
+
+  /**
+   * Class applied to bot comments folded into a summary row
+   * @constant {string}
+   */
+  const BOT_COLLAPSED_CLASS = "pr-sorter-bot-collapsed";
+
+  /**
+   * Class of the summary row inserted before each folded run
+   * @constant {string}
+   */
+  const BOT_SUMMARY_CLASS = "pr-sorter-bot-summary";
+
+  /**
+   * Minimum number of consecutive bot comments that get folded
+   * @constant {number}
+   */
+  const MIN_RUN_LENGTH = 2;
+
+  // ============================================
+  // RUN DETECTION
+  // ============================================
+
+  /**
+   * Find runs of consecutive bot comments in the timeline
+   * Rows inserted by the extension (e.g. author headers) break a run;
+   * events of hidden types are invisible and don't
+   *
+   * @param {Element} container - The discussion container
+   * @returns {Object[][]} Runs of comment data, in document order
+   */
+  function findBotRuns(container) {
+    const runs = [];
+    let run = [];
+
+    const endRun = () => {
+      if (run.length >= MIN_RUN_LENGTH) runs.push(run);
+      run = [];
+    };
+
+    Array.from(container.children).forEach((el, index) => {
+      if (el.matches(SELECTORS.EXTENSION_ROW)) {
+        endRun();
+        return;
+      }
+      if (isEventHidden(el)) return;
+      const data = extractCommentData(el, index);
+      if (data && data.isBot) {
+        run.push(data);
+      } else {
+        endRun();
+      }
+    });
+    endRun();
+
+    return runs;
+  }
+
+  // ============================================
+  // FOLDING
+  // ============================================
+
+  /**
+   * Remove summary rows and unfold every previously folded bot comment
+   * @param {Element} container - The discussion container
+   */
+  function clearBotNoise(container) {
+    safeQueryAll(`:scope > .${BOT_SUMMARY_CLASS}`, container).forEach((row) =>
+      row.remove()
+    );
+    safeQueryAll(":scope > [data-pr-sorter-run]", container).forEach((el) => {
+      el.classList.remove(BOT_COLLAPSED_CLASS);
+      el.removeAttribute("data-pr-sorter-run");
+      el.removeAttribute("data-pr-sorter-folded");
+    });
+  }
+
+  /**
+   * Create the summary row for a folded run
+   * @param {Object[]} run - Comment data of the run
+   * @param {number} hiddenCount - Number of comments folded away
+   * @param {number} runIndex - Index used to link the row to its items
+   * @returns {HTMLElement} The summary row
+   */
+  function createBotSummary(run, hiddenCount, runIndex) {
+    const logins = Array.from(new Set(run.map((data) => data.author)));
+
+    const row = document.createElement("div");
+    row.className = BOT_SUMMARY_CLASS;
+    row.setAttribute("data-extension", "pr-comment-sorter");
+    row.setAttribute("data-pr-sorter-run", String(runIndex));
+    row.innerHTML = `
+      <button type="button" class="pr-sorter-bot-toggle" aria-expanded="false">
+        <span class="pr-sorter-bot-chevron">${createOcticon("chevronDown", 12)}</span>
+        <span class="pr-sorter-bot-title">${run.length} bot comments</span>
+        <span class="pr-sorter-bot-meta"></span>
+      </button>
+    `;
+    row.querySelector(".pr-sorter-bot-meta").textContent =
+      `${hiddenCount} hidden · ${logins.join(", ")}`;
+
+    const toggle = row.querySelector(".pr-sorter-bot-toggle");
+    toggle.addEventListener("click", () => toggleBotRun(row));
+
+    return row;
+  }
+
+  /**
+   * Expand or fold the bot comments behind a summary row
+   * @param {HTMLElement} row - The summary row
+   */
+  function toggleBotRun(row) {
+    const container = row.parentNode;
+    if (!container) return;
+
+    const expanded = !row.classList.contains("pr-sorter-bot-summary--expanded");
+    row.classList.toggle("pr-sorter-bot-summary--expanded", expanded);
+    row
+      .querySelector(".pr-sorter-bot-toggle")
+      ?.setAttribute("aria-expanded", expanded ? "true" : "false");
+
+    const runId = row.getAttribute("data-pr-sorter-run");
+    safeQueryAll(
+      `:scope > [data-pr-sorter-run="${runId}"][data-pr-sorter-folded]`,
+      container
+    ).forEach((el) => el.classList.toggle(BOT_COLLAPSED_CLASS, !expanded));
+  }
+
+  /**
+   * Fold runs of consecutive bot comments, keeping only the newest
+   * comment of each bot visible, behind an expandable summary row.
+   * Safe to call repeatedly: previous folding is cleared first.
+   */
+  function collapseBotNoise() {
+    const container = safeQuery(".js-discussion");
+    if (!container) return;
+
+    clearBotNoise(container);
+    if (!state.collapseBots) return;
+
+    findBotRuns(container).forEach((run, runIndex) => {
+      // Newest comment per bot stays visible
+      const newestByAuthor = new Map();
+      run.forEach((data) => {
+        const newest = newestByAuthor.get(data.author);
+        if (!newest || data.timestamp > newest.timestamp) {
+          newestByAuthor.set(data.author, data);
+        }
+      });
+
+      const folded = run.filter(
+        (data) => newestByAuthor.get(data.author) !== data
+      );
+      if (folded.length === 0) return;
+
+      run.forEach((data) => {
+        data.element.setAttribute("data-pr-sorter-run", String(runIndex));
+      });
+      folded.forEach((data) => {
+        data.element.setAttribute("data-pr-sorter-folded", "");
+        data.element.classList.add(BOT_COLLAPSED_CLASS);
+      });
+
+      container.insertBefore(
+        createBotSummary(run, folded.length, runIndex),
+        run[0].element
+      );
+    });
+  }
+
+  // Export to global namespace
+  window.PRSorter.Bots = {
+    BOT_COLLAPSED_CLASS,
+    collapseBotNoise,
+    toggleBotRun,
+  };
+})();
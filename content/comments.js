@@ -10,7 +10,32 @@ window.PRSorter = window.PRSorter || {};
 (function() {
   "use strict";
 
-  const { safeQuery, safeQueryAll } = window.PRSorter.Core;
+  const {
+    SELECTORS,
+    EVENT_TYPES,
+    WAITING_ON,
+    ENGAGEMENT_WEIGHTS,
+    state,
+    safeQuery,
+    safeQueryAll,
+  } = window.PRSorter.Core;
+  const { getApiThreads, getApiThreadsIn, getApiThread } = window.PRSorter.Api;
+
+  /**
+   * Map of g-emoji aliases to GitHub reaction content names
+   * @constant {Object.<string, string>}
+   */
+  const REACTION_ALIASES = Object.freeze({
+    "+1": "THUMBS_UP",
+    "-1": "THUMBS_DOWN",
+    smile: "LAUGH",
+    laughing: "LAUGH",
+    tada: "HOORAY",
+    confused: "CONFUSED",
+    heart: "HEART",
+    rocket: "ROCKET",
+    eyes: "EYES",
+  });
 
   // ============================================
   // COMMENT RESOLUTION DETECTION
@@ -18,18 +43,53 @@ window.PRSorter = window.PRSorter || {};
 
   /**
    * Determine if a comment thread is resolved
+   * Threads GitHub marks with data-resolved follow the page, which updates
+   * live when one is resolved; API data covers markup without the marker.
    */
   function isCommentResolved(element) {
+    if (!element.querySelector(SELECTORS.REVIEW_THREAD)) {
+      const apiThreads = getApiThreadsIn(element);
+      if (apiThreads.length > 0) {
+        return apiThreads.every((thread) => thread.isResolved);
+      }
+    }
+
     const unresolvedThread = element.querySelector(
-      'details[data-resolved="false"]'
+      SELECTORS.UNRESOLVED_THREAD
     );
     return !unresolvedThread;
   }
 
+  /**
+   * Find the containers of the API threads rendered on the page
+   * @param {Object[]} apiThreads - Review threads from the API
+   * @returns {Element[]} Thread containers, in document order
+   */
+  function getApiThreadContainers(apiThreads) {
+    const selector = `${SELECTORS.REVIEW_THREAD}, ${SELECTORS.TIMELINE_ITEM}`;
+    const containers = new Set();
+    apiThreads.forEach((thread) => {
+      thread.comments.forEach((comment) => {
+        const el = document.getElementById(comment.id);
+        const container = el && el.closest(selector);
+        if (container) containers.add(container);
+      });
+    });
+    return safeQueryAll(selector).filter((el) => containers.has(el));
+  }
+
   /**
    * Get all review thread containers
+   * With API data, threads are found by their comment IDs; otherwise by
+   * GitHub's markup and the text of its resolve buttons.
    */
   function getReviewThreads() {
+    const apiThreads = getApiThreads();
+    if (apiThreads) {
+      const containers = getApiThreadContainers(apiThreads);
+      if (containers.length > 0) return containers;
+    }
+
     let threads = safeQueryAll(".js-resolvable-timeline-thread-container");
 
     if (threads.length === 0) {
@@ -69,6 +129,23 @@ window.PRSorter = window.PRSorter || {};
     return Array.from(allThreads);
   }
 
+  /**
+   * Get GitHub's "Resolve conversation" button for a review thread
+   * @param {Element} thread - Review thread element
+   * @returns {HTMLButtonElement|null} The button, or null if the thread is
+   *   already resolved or the user may not resolve it
+   */
+  function getResolveButton(thread) {
+    const container = thread.closest(SELECTORS.RESOLVABLE_THREAD) || thread;
+    return (
+      safeQueryAll("button", container).find(
+        (btn) =>
+          !btn.disabled &&
+          btn.textContent.trim().toLowerCase() === "resolve conversation"
+      ) || null
+    );
+  }
+
   /**
    * Get all comment containers from the PR page
    */
@@ -110,10 +187,15 @@ window.PRSorter = window.PRSorter || {};
         resolved = false;
       }
 
+      const author = getCommentAuthor(element);
+
       return {
         element,
         timestamp,
+        lastActivity: getLatestActivity(element) || timestamp,
         resolved,
+        author,
+        isBot: isBotAuthor(author, element),
         hasTimeElement: !!timeElement,
       };
     } catch (e) {
@@ -121,17 +203,412 @@ window.PRSorter = window.PRSorter || {};
       return {
         element,
         timestamp: new Date(Date.now() + index),
+        lastActivity: new Date(Date.now() + index),
         resolved: false,
+        author: null,
+        isBot: false,
         hasTimeElement: false,
       };
     }
   }
 
+  /**
+   * Get the newest timestamp anywhere inside an element
+   * Covers thread replies, edits and "resolved by" events, which all render
+   * their own time element
+   * @param {Element} element - Timeline item or thread
+   * @returns {Date|null} The latest activity date, or null if none found
+   */
+  function getLatestActivity(element) {
+    let latest = null;
+    safeQueryAll(
+      "relative-time[datetime], time[datetime], local-time[datetime]",
+      element
+    ).forEach((timeEl) => {
+      const date = new Date(timeEl.getAttribute("datetime"));
+      if (!isNaN(date) && (!latest || date > latest)) latest = date;
+    });
+    return latest;
+  }
+
+  /**
+   * Get the GitHub ID of a timeline item or comment: its own id or node ID,
+   * else that of the first comment or review inside it
+   * Unlike positions, IDs stay the same across reloads and re-sorting.
+   *
+   * @param {Element|null} element - Timeline item or comment
+   * @returns {string|null} The ID, or null when GitHub gives none
+   */
+  function getGitHubId(element) {
+    if (!element) return null;
+    const own = element.id || element.getAttribute("data-gid");
+    if (own) return own;
+
+    const inner = element.querySelector(
+      '[id^="issuecomment-"], [id^="pullrequestreview-"], [id^="discussion_r"]'
+    );
+    return inner ? inner.id : null;
+  }
+
+  /**
+   * Get the GitHub ID of a review thread, taken from its first comment so
+   * it is the same wherever the thread is rendered
+   * @param {Element} thread - Review thread element
+   * @returns {string|null} The ID, or null when GitHub gives none
+   */
+  function getThreadId(thread) {
+    return (
+      getGitHubId(thread.querySelector(SELECTORS.REVIEW_COMMENT)) ||
+      getGitHubId(thread)
+    );
+  }
+
+  // ============================================
+  // ITEM CLASSIFICATION
+  // ============================================
+
+  /**
+   * Determine if a timeline item is part of a code review
+   * (a submitted review, a review thread or an inline review comment)
+   * @param {Element} element - Timeline item
+   * @returns {boolean} True if the item belongs to a review
+   */
+  function isReviewItem(element) {
+    return !!element.querySelector(
+      `${SELECTORS.REVIEW_COMMENT}, ${SELECTORS.RESOLVABLE_THREAD}, [id^="pullrequestreview-"]`
+    );
+  }
+
+  /**
+   * Determine if a timeline item is a top-level conversation comment
+   * @param {Element} element - Timeline item
+   * @returns {boolean} True if the item is a regular issue comment
+   */
+  function isTopLevelComment(element) {
+    if (isReviewItem(element)) return false;
+    return !!element.querySelector(
+      '[id^="issuecomment-"], .timeline-comment, .timeline-comment-group'
+    );
+  }
+
+  /**
+   * Elements (mostly timeline badge octicons) identifying system events,
+   * checked in order
+   * @constant {Array<[string, string]>}
+   */
+  const EVENT_MARKERS = Object.freeze([
+    [".octicon-repo-push", EVENT_TYPES.FORCE_PUSH],
+    [".js-commit-group, .octicon-git-commit", EVENT_TYPES.COMMIT],
+    [".octicon-tag", EVENT_TYPES.LABEL],
+    [".octicon-eye", EVENT_TYPES.REVIEW_REQUEST],
+    [".octicon-rocket", EVENT_TYPES.DEPLOYMENT],
+    [".octicon-cross-reference, .octicon-bookmark", EVENT_TYPES.REFERENCE],
+  ]);
+
+  /**
+   * Classify a timeline item: discussion (comment, review) or the kind of
+   * system event (commits, force-pushes, label changes, review requests,
+   * deployments, cross-references)
+   * @param {Element} element - Timeline item
+   * @returns {string} One of EVENT_TYPES
+   */
+  function getTimelineItemType(element) {
+    if (isReviewItem(element)) return EVENT_TYPES.REVIEW;
+    if (isTopLevelComment(element)) return EVENT_TYPES.COMMENT;
+
+    for (const [selector, type] of EVENT_MARKERS) {
+      if (element.querySelector(selector)) return type;
+    }
+    if (element.querySelector(".IssueLabel")) return EVENT_TYPES.LABEL;
+    return EVENT_TYPES.OTHER;
+  }
+
+  /**
+   * Get the file path a review thread is attached to
+   * On the Files changed tab the path is in the header of the diff file
+   * around the thread rather than in the thread itself.
+   * @param {Element} element - Review thread or timeline item
+   * @returns {string|null} The file path, or null for non-file comments
+   */
+  function getThreadFilePath(element) {
+    const apiThread = getApiThread(element);
+    if (apiThread && apiThread.path) return apiThread.path;
+
+    const pathEl = element.querySelector(SELECTORS.THREAD_PATH);
+    if (!pathEl) {
+      const file = element.closest(SELECTORS.DIFF_FILE);
+      const header = file && file.querySelector(".file-header[data-path]");
+      return header ? header.getAttribute("data-path") : null;
+    }
+    const path = (pathEl.getAttribute("title") || pathEl.textContent).trim();
+    return path || null;
+  }
+
+  // ============================================
+  // AUTHOR DETECTION
+  // ============================================
+
+  /**
+   * Get the login of the author of a timeline item or comment
+   * @param {Element} element - Timeline item or comment element
+   * @returns {string|null} The author login, or null if none was found
+   */
+  function getCommentAuthor(element) {
+    if (!element) return null;
+    const authorEl = element.querySelector(".author, .js-author");
+    const login = authorEl ? authorEl.textContent.trim() : "";
+    return login || null;
+  }
+
+  /**
+   * Get the login of the pull request author from the PR header
+   * @returns {string|null} The PR author login, or null if not found
+   */
+  function getPRAuthor() {
+    const authorEl = safeQuery(
+      ".gh-header-meta .author, .js-issue-header-byline .author"
+    );
+    const login = authorEl ? authorEl.textContent.trim() : "";
+    return login || null;
+  }
+
+  /**
+   * Get the login of the signed-in user from GitHub's page metadata
+   * @returns {string|null} The login, or null when signed out
+   */
+  function getCurrentUser() {
+    const meta = safeQuery('meta[name="user-login"]');
+    const login = meta ? (meta.getAttribute("content") || "").trim() : "";
+    return login || null;
+  }
+
+  /**
+   * Decide who an unresolved review thread is waiting on, from the authors
+   * of its comments
+   * Waiting on me: someone else commented after my last reply, or I'm the
+   * PR author and haven't answered yet. Waiting on others: I replied last,
+   * or the thread was never mine to answer.
+   *
+   * @param {Array<string|null>} logins - Comment authors, oldest first
+   * @returns {string|null} One of WAITING_ON, or null when signed out
+   */
+  function getWaitingOn(logins) {
+    const me = getCurrentUser();
+    if (!me) return null;
+
+    const authors = logins
+      .filter(Boolean)
+      .map((login) => login.toLowerCase());
+    const self = me.toLowerCase();
+    const lastAuthor = authors[authors.length - 1];
+
+    if (lastAuthor === self) return WAITING_ON.OTHERS;
+    if (authors.includes(self)) return WAITING_ON.ME;
+
+    const prAuthor = getPRAuthor();
+    return prAuthor && prAuthor.toLowerCase() === self
+      ? WAITING_ON.ME
+      : WAITING_ON.OTHERS;
+  }
+
+  /**
+   * Decide who an unresolved review thread is waiting on
+   * API data includes replies GitHub folds away, so it is used when there.
+   * @param {Element} thread - Review thread element
+   * @returns {string|null} One of WAITING_ON, or null when signed out
+   */
+  function getThreadWaitingOn(thread) {
+    const apiThread = getApiThread(thread);
+    return getWaitingOn(
+      apiThread
+        ? apiThread.comments.map((comment) => comment.author)
+        : safeQueryAll(SELECTORS.REVIEW_COMMENT, thread).map((comment) =>
+            getCommentAuthor(comment)
+          )
+    );
+  }
+
+  /**
+   * Determine if an author is a bot account
+   * Checks the `[bot]` login suffix, the user-configured bot logins,
+   * GitHub App profile links and the bot label
+   * @param {string} login - Author login
+   * @param {Element} [element] - Element the author was read from
+   * @returns {boolean} True if the author looks like a bot
+   */
+  function isBotAuthor(login, element) {
+    if (!login) return false;
+    if (/\[bot\]$/i.test(login)) return true;
+    if (state.botLogins.includes(login.toLowerCase())) return true;
+    if (!element) return false;
+
+    const authorEl = element.querySelector(".author, .js-author");
+    if (authorEl && (authorEl.getAttribute("href") || "").includes("/apps/")) {
+      return true;
+    }
+
+    return safeQueryAll(".timeline-comment-header .Label", element).some(
+      (label) => label.textContent.trim().toLowerCase() === "bot"
+    );
+  }
+
+  // ============================================
+  // REACTIONS AND ENGAGEMENT
+  // ============================================
+
+  /**
+   * Determine the reaction type of a reaction summary button
+   * @param {Element} button - Reaction button element
+   * @returns {string|null} Reaction content name (e.g. "THUMBS_UP")
+   */
+  function getReactionType(button) {
+    // GitHub sets value="THUMBS_UP react" / "THUMBS_UP unreact"
+    const value = (button.getAttribute("value") || "").split(" ")[0];
+    if (value && value.toUpperCase() in ENGAGEMENT_WEIGHTS) {
+      return value.toUpperCase();
+    }
+
+    const emoji = button.querySelector("g-emoji");
+    const alias = emoji ? emoji.getAttribute("alias") : null;
+    return (alias && REACTION_ALIASES[alias]) || null;
+  }
+
+  /**
+   * Count the reactions rendered on an element, by reaction type
+   * @param {Element} element - Comment, thread or timeline item
+   * @returns {Object.<string, number>} Reaction counts keyed by content name
+   */
+  function getReactionCounts(element) {
+    const counts = {};
+    safeQueryAll(SELECTORS.REACTION_BUTTON, element).forEach((button) => {
+      const type = getReactionType(button);
+      if (!type) return;
+
+      const countEl = button.querySelector(
+        ".js-discussion-reaction-group-count"
+      );
+      const count =
+        parseInt((countEl || button).textContent.replace(/\D/g, ""), 10) || 0;
+      counts[type] = (counts[type] || 0) + count;
+    });
+    return counts;
+  }
+
+  /**
+   * Count the replies in the review threads of an element
+   * The first comment of each thread is not a reply
+   * @param {Element} element - Review thread or timeline item
+   * @returns {number} Number of replies
+   */
+  function getThreadReplyCount(element) {
+    const threads = element.matches(SELECTORS.RESOLVABLE_THREAD)
+      ? [element]
+      : safeQueryAll(SELECTORS.RESOLVABLE_THREAD, element);
+    return threads.reduce((total, thread) => {
+      const comments = safeQueryAll(SELECTORS.REVIEW_COMMENT, thread).length;
+      return total + Math.max(0, comments - 1);
+    }, 0);
+  }
+
+  /**
+   * Compute the weighted engagement score of an element
+   * Sums reactions by ENGAGEMENT_WEIGHTS and, for review threads, replies
+   * @param {Element} element - Comment, thread or timeline item
+   * @returns {number} Engagement score
+   */
+  function getEngagementScore(element) {
+    if (!element) return 0;
+    const counts = getReactionCounts(element);
+    const reactionScore = Object.entries(counts).reduce(
+      (score, [type, count]) => score + (ENGAGEMENT_WEIGHTS[type] || 0) * count,
+      0
+    );
+    return (
+      reactionScore + getThreadReplyCount(element) * ENGAGEMENT_WEIGHTS.REPLY
+    );
+  }
+
+  /**
+   * Determine if a review thread is outdated (its code has since changed)
+   * @param {Element} thread - Review thread element
+   * @returns {boolean} True if GitHub marks the thread as outdated
+   */
+  function isThreadOutdated(thread) {
+    const apiThread = getApiThread(thread);
+    if (apiThread) return apiThread.isOutdated;
+
+    if (thread.matches(".outdated-comment, [data-outdated='true']")) {
+      return true;
+    }
+    return safeQueryAll(
+      "summary .Label, .js-toggle-outdated-comments",
+      thread
+    ).some((label) => /outdated/i.test(label.textContent));
+  }
+
+  /**
+   * Get the diff line range a review thread comments on
+   * Uses API data when there, then GitHub's "Comment on lines +12 to +15"
+   * caption when present, and otherwise the last numbered line of the diff
+   * excerpt, which is the line the comment is attached to. Inline threads
+   * on the Files changed tab have no excerpt; their line is the diff row
+   * just above them.
+   *
+   * @param {Element} thread - Review thread element
+   * @returns {{start: number, end: number}|null} The line range, or null
+   */
+  function getThreadLineRange(thread) {
+    const apiThread = getApiThread(thread);
+    if (apiThread && apiThread.lines) return apiThread.lines;
+
+    const caption = thread.textContent.match(
+      /Comment on lines?\s+[+-]?[LR]?(\d+)(?:\s+to\s+[+-]?[LR]?(\d+))?/i
+    );
+    if (caption) {
+      const start = parseInt(caption[1], 10);
+      const end = caption[2] ? parseInt(caption[2], 10) : start;
+      return { start: Math.min(start, end), end: Math.max(start, end) };
+    }
+
+    let numbered = safeQueryAll("[data-line-number]", thread);
+    const diffRow = thread.closest("tr");
+    if (numbered.length === 0 && diffRow && diffRow.previousElementSibling) {
+      numbered = safeQueryAll(
+        "[data-line-number]",
+        diffRow.previousElementSibling
+      );
+    }
+    const last = numbered[numbered.length - 1];
+    const line = last
+      ? parseInt(last.getAttribute("data-line-number"), 10)
+      : NaN;
+    return Number.isNaN(line) ? null : { start: line, end: line };
+  }
+
+  /**
+   * Get when a review thread was last replied to
+   * Only the thread's own comments count, so "resolved" or "outdated" events
+   * rendered around it don't make it look fresh.
+   * @param {Element} thread - Review thread element
+   * @returns {Date|null} Date of the newest comment, or null if none found
+   */
+  function getThreadLastReply(thread) {
+    let latest = null;
+    safeQueryAll(SELECTORS.REVIEW_COMMENT, thread).forEach((comment) => {
+      const date = getLatestActivity(comment);
+      if (date && (!latest || date > latest)) latest = date;
+    });
+    return latest || getLatestActivity(thread);
+  }
+
   /**
    * Get all unresolved conversations
+   * @returns {Object[]} Conversations with author, snippet, file path,
+   *   line range, outdated and snoozed flags, who they are waiting on and
+   *   last reply date
    */
   function getUnresolvedConversations() {
-    const unresolvedDetails = safeQueryAll('details[data-resolved="false"]');
+    const unresolvedDetails = safeQueryAll(SELECTORS.UNRESOLVED_THREAD);
     return unresolvedDetails.map((details, index) => {
       const container = details;
       const authorEl = details.querySelector(".author, .js-author");
@@ -147,6 +624,12 @@ window.PRSorter = window.PRSorter || {};
         element: container,
         username,
         snippet,
+        path: getThreadFilePath(details),
+        lines: getThreadLineRange(details),
+        outdated: isThreadOutdated(details),
+        snoozed: details.matches(SELECTORS.SNOOZED_THREAD),
+        waitingOn: getThreadWaitingOn(details),
+        lastReply: getThreadLastReply(details),
         id: container.id || `unresolved-${index}`,
       };
     });
@@ -156,8 +639,27 @@ window.PRSorter = window.PRSorter || {};
   window.PRSorter.Comments = {
     isCommentResolved,
     getReviewThreads,
+    getResolveButton,
     getCommentContainers,
     extractCommentData,
     getUnresolvedConversations,
+    getCommentAuthor,
+    getPRAuthor,
+    getCurrentUser,
+    getWaitingOn,
+    getThreadWaitingOn,
+    isBotAuthor,
+    getReactionCounts,
+    getEngagementScore,
+    getLatestActivity,
+    getGitHubId,
+    getThreadId,
+    isReviewItem,
+    isTopLevelComment,
+    getTimelineItemType,
+    getThreadFilePath,
+    getThreadLineRange,
+    isThreadOutdated,
+    getThreadLastReply,
   };
 })();
@@ -9,8 +9,15 @@
  *
  * Features:
  * - Sort comments by date (oldest/newest first)
- * - Track and navigate unresolved conversations
+ * - Track and navigate unresolved conversations (`]u` / `[u`)
+ * - Age badges flag unresolved threads that have gone stale
+ * - Outdated threads are counted apart and can be hidden or expanded at once
+ * - Comments new since your last visit are marked, with a jump to the first
+ * - Private notes on threads and comments, stored locally and never posted
+ * - Snoozed threads leave the unresolved count until a set time or a reply
+ * - A summary of each PR is cached for the popup's dashboard of recent PRs
  * - Smooth FLIP animations for reordering
+ * - New comments slot into the active sort as they arrive
  * - Primer design system integration
  * - Full keyboard accessibility
  *
@@ -28,9 +35,41 @@
 (function () {
   "use strict";
 
-  const { state, loadSavedPreference } = window.PRSorter.Core;
+  const {
+    SORT_OPTIONS,
+    FILTER_OPTIONS,
+    state,
+    loadSavedPreference,
+    loadCustomSorts,
+    isValidSortOption,
+    loadSavedFilterPreference,
+    loadHiddenEventTypes,
+    loadHideOutdatedPreference,
+    loadBotPreferences,
+    loadHiddenItemsPreference,
+    loadStalenessThresholds,
+    normalizeBotLogins,
+    normalizeStalenessThresholds,
+  } = window.PRSorter.Core;
   const { getCommentContainers } = window.PRSorter.Comments;
-  const { applySorting, toggleSort } = window.PRSorter.Sorting;
+  const {
+    applySorting,
+    toggleSort,
+    recordOriginalOrder,
+    recordInsertedItems,
+    placeNewItems,
+  } = window.PRSorter.Sorting;
+  const { applyFilter, applyOutdatedFilter } = window.PRSorter.Filters;
+  const { collapseBotNoise } = window.PRSorter.Bots;
+  const { loadHiddenItems, cancelLoading } = window.PRSorter.Loader;
+  const { navigateUnresolved, setupKeyboardNavigation } =
+    window.PRSorter.Navigation;
+  const { setupAgeBadges, updateAgeBadges } = window.PRSorter.Staleness;
+  const { markNewItems, setupVisitTracking } = window.PRSorter.Visits;
+  const { loadNotes, renderNotes } = window.PRSorter.Notes;
+  const { loadSnoozes, applySnoozes, setupSnoozes } = window.PRSorter.Snooze;
+  const { setupSummaryTracking, updateSummary } = window.PRSorter.Summaries;
+  const { refreshApiThreads } = window.PRSorter.Api;
   const {
     injectSortControls,
     moveMergeStatusToTop,
@@ -38,9 +77,17 @@
     updateControlsVisibility,
     updateUnresolvedButton,
     updateSortIndicator,
+    updateFilterIndicator,
+    updateEventMenu,
+    updateOutdatedMenu,
+    renderCustomSortButtons,
     isConversationTab,
   } = window.PRSorter.UI;
 
+  // Timeline container watched for inserted items, and its observer
+  let observedTimeline = null;
+  let timelineObserver = null;
+
   // ============================================
   // INITIALIZATION
   // ============================================
@@ -60,6 +107,9 @@
 
     state.isInitialized = true;
 
+    // Remember GitHub's order before anything gets moved
+    setupTimelineObserver();
+
     injectSortControls();
 
     // Check setting before moving merge status
@@ -78,17 +128,45 @@
       setTimeout(moveMergeStatusToTop, 500);
     }
 
-    // Load saved preference and apply sorting
-    loadSavedPreference().then((sortOption) => {
+    // Load saved preferences and apply sorting (which re-applies the filter)
+    Promise.all([
+      loadSavedPreference(),
+      loadSavedFilterPreference(),
+      loadHiddenEventTypes(),
+      loadHideOutdatedPreference(),
+      loadBotPreferences(),
+      loadHiddenItemsPreference(),
+      loadStalenessThresholds(),
+      loadNotes(),
+      loadSnoozes(),
+    ]).then(([sortOption]) => {
       const sortToApply = sortOption || state.currentSort; // Use saved or default
+      renderCustomSortButtons();
       updateSortIndicator(sortToApply);
+      updateFilterIndicator(state.currentFilter);
+      updateEventMenu();
+      // Inline threads on the Files changed tab aren't reached by sorting
+      applyOutdatedFilter();
+      updateOutdatedMenu();
+      setupAgeBadges();
+      setupVisitTracking();
+      renderNotes();
+      setupSnoozes();
+      updateUnresolvedButton();
+      // Opt-in: recount with GitHub API data once it arrives
+      setupSummaryTracking()
+        .then(() => refreshApiThreads(true))
+        .then(updateSummary);
       // Apply the sorting to the page
       setTimeout(() => {
         applySorting(sortToApply);
+        // Opt-in: load hidden items, then sort again with the full timeline
+        if (state.loadHiddenItems) loadHiddenItems();
       }, 100);
     });
 
     setupMutationObserver();
+    setupKeyboardNavigation();
     setupChromeMessageListener();
     setupHashChangeListener();
 
@@ -111,19 +189,66 @@
     window.addEventListener("hashchange", handleHashChange);
   }
 
+  /**
+   * Watch the timeline for items GitHub inserts: record their place in the
+   * original order (for the "GitHub default" sort) and move them to their
+   * place in the active sort, flagging freshly posted ones as new
+   * Called again as the page changes, so a timeline that appears later
+   * (e.g. opening the Conversation tab from Files changed) or replaces the
+   * watched one gets watched instead.
+   *
+   * @returns {boolean} True if a timeline not watched before is now
+   */
+  function setupTimelineObserver() {
+    const container = document.querySelector(".js-discussion");
+    if (!container || container === observedTimeline) return false;
+
+    if (timelineObserver) timelineObserver.disconnect();
+    observedTimeline = container;
+    recordOriginalOrder(container);
+    // Not debounced: positions depend on where items are first inserted
+    timelineObserver = new MutationObserver((records) => {
+      const { added, appended } = recordInsertedItems(records);
+      if (added.length > 0) placeNewItems(added, { flagged: appended });
+    });
+    timelineObserver.observe(container, { childList: true });
+    return true;
+  }
+
   /**
    * Set up mutation observer to handle DOM changes
    */
   function setupMutationObserver() {
     function handleMutations() {
+      // Watch and sort a timeline that wasn't on the page before
+      if (setupTimelineObserver()) {
+        applySorting(state.currentSort, { silent: true });
+      }
+
       if (!document.querySelector(".pr-comment-sorter-controls")) {
         state.sortControlsInjected = false;
         injectSortControls();
       } else {
         // Update visibility when tabs change or SSO status changes
         updateControlsVisibility();
+        // Wake snoozed threads that got a reply, then refresh the count
+        applySnoozes();
         // Update unresolved button state when conversations change
         updateUnresolvedButton();
+        updateAgeBadges();
+        // Items behind "Load more" may be new since the last visit too
+        markNewItems();
+        // Re-anchor notes on items GitHub loaded or re-rendered
+        renderNotes();
+        // Keep the popup dashboard's numbers current, refetching GitHub API
+        // data now and then while the page changes
+        refreshApiThreads().then(updateSummary);
+        // Keep newly loaded items consistent with the active filter
+        if (state.currentFilter !== FILTER_OPTIONS.ALL) {
+          applyFilter(state.currentFilter, { silent: true });
+        } else if (state.hideOutdated) {
+          applyOutdatedFilter();
+        }
       }
 
       // Only move merge status if on Conversation tab and not already done
@@ -183,19 +308,70 @@
               applySorting(request.sortOption);
               sendResponse({ success: true });
               break;
+            case "filter":
+              applyFilter(request.filterOption);
+              sendResponse({ success: true });
+              break;
             case "toggleSort":
               toggleSort();
               sendResponse({ success: true });
               break;
+            case "navigateUnresolved":
+              navigateUnresolved(request.direction === "previous");
+              sendResponse({ success: true });
+              break;
             case "getStatus":
               const containers = getCommentContainers();
               sendResponse({
                 currentSort: state.currentSort,
+                currentFilter: state.currentFilter,
                 commentCount:
                   containers.timeline.length + containers.review.length,
                 isOnPRPage: true,
               });
               break;
+            case "updateCustomSorts":
+              // Custom sorts were added or removed in the popup
+              loadCustomSorts().then(() => {
+                renderCustomSortButtons();
+                if (!isValidSortOption(state.currentSort)) {
+                  applySorting(SORT_OPTIONS.DATE_NEWEST);
+                } else if (!Object.values(SORT_OPTIONS).includes(state.currentSort)) {
+                  applySorting(state.currentSort);
+                }
+                sendResponse({ success: true });
+              });
+              break;
+            case "updateBotPreferences":
+              // Handle bot noise settings from popup
+              if (typeof request.collapseBots === "boolean") {
+                state.collapseBots = request.collapseBots;
+              }
+              if (request.botLogins !== undefined) {
+                state.botLogins = normalizeBotLogins(request.botLogins);
+              }
+              collapseBotNoise();
+              applyFilter(state.currentFilter, { silent: true });
+              sendResponse({ success: true });
+              break;
+            case "updateLoaderPreference":
+              // Handle hidden items setting from popup
+              state.loadHiddenItems = request.loadHiddenItems === true;
+              if (state.loadHiddenItems) {
+                loadHiddenItems();
+              } else {
+                cancelLoading();
+              }
+              sendResponse({ success: true });
+              break;
+            case "updateStalenessThresholds":
+              // Handle thread age thresholds from popup
+              state.stalenessThresholds = normalizeStalenessThresholds(
+                request.stalenessThresholds
+              );
+              updateAgeBadges();
+              sendResponse({ success: true });
+              break;
             case "updateMergeStatusPreference":
               // Handle preference update from popup
               if (request.shouldMove) {
@@ -205,6 +381,13 @@
               }
               sendResponse({ success: true });
               break;
+            case "refreshApiData":
+              // The GitHub token or API endpoint changed in the popup
+              refreshApiThreads(true).then(() => {
+                updateSummary();
+                sendResponse({ success: true });
+              });
+              break;
             case "ping":
               sendResponse({ pong: true, initialized: state.isInitialized });
               break;
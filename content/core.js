@@ -25,6 +25,10 @@ window.PRSorter = window.PRSorter || {};
     DATE_NEWEST: "date-newest",
     RESOLVED_LAST: "resolved-last",
     UNRESOLVED_LAST: "unresolved-last",
+    AUTHOR: "author",
+    REACTIONS: "reactions",
+    RECENT_ACTIVITY: "recent-activity",
+    GITHUB_DEFAULT: "github-default",
   });
 
   /**
@@ -38,6 +42,101 @@ window.PRSorter = window.PRSorter || {};
     DEBOUNCE_DELAY: 300,
     MERGE_BOX_DELAY: 500,
     RETRY_DELAY: 1000,
+    NEW_ITEM_DURATION: 4000,
+  });
+
+  /**
+   * Available filter options for timeline items
+   * @constant {Object.<string, string>}
+   * @readonly
+   */
+  const FILTER_OPTIONS = Object.freeze({
+    ALL: "all",
+    UNRESOLVED: "unresolved",
+    REVIEW: "review",
+    TOP_LEVEL: "top-level",
+    NO_BOTS: "no-bots",
+  });
+
+  /**
+   * Types of timeline items, as classified by getTimelineItemType
+   * COMMENT and REVIEW are discussion; the others are system events that
+   * can be hidden from the event-type menu
+   * @constant {Object.<string, string>}
+   * @readonly
+   */
+  const EVENT_TYPES = Object.freeze({
+    COMMENT: "comment",
+    REVIEW: "review",
+    COMMIT: "commit",
+    FORCE_PUSH: "force-push",
+    LABEL: "label",
+    REVIEW_REQUEST: "review-request",
+    DEPLOYMENT: "deployment",
+    REFERENCE: "reference",
+    OTHER: "other",
+  });
+
+  /**
+   * Event types the user can hide (everything except discussion)
+   * @constant {string[]}
+   * @readonly
+   */
+  const HIDEABLE_EVENT_TYPES = Object.freeze(
+    Object.values(EVENT_TYPES).filter(
+      (type) => type !== EVENT_TYPES.COMMENT && type !== EVENT_TYPES.REVIEW
+    )
+  );
+
+  /**
+   * Who an unresolved review thread is waiting on, from the signed-in
+   * user's point of view
+   * @constant {Object.<string, string>}
+   * @readonly
+   */
+  const WAITING_ON = Object.freeze({
+    ME: "me",
+    OTHERS: "others",
+  });
+
+  /**
+   * Staleness of an unresolved review thread, from the age of its last reply
+   * @constant {Object.<string, string>}
+   * @readonly
+   */
+  const STALENESS = Object.freeze({
+    FRESH: "fresh",
+    AGING: "aging",
+    STALE: "stale",
+  });
+
+  /**
+   * Default age thresholds, in days, after which a thread is aging or stale
+   * @constant {{aging: number, stale: number}}
+   * @readonly
+   */
+  const DEFAULT_STALENESS_THRESHOLDS = Object.freeze({
+    aging: 2,
+    stale: 7,
+  });
+
+  /**
+   * Weights used to compute the engagement score of a comment
+   * Reaction keys match GitHub's reaction content names; REPLY applies per
+   * reply in a review thread
+   * @constant {Object.<string, number>}
+   * @readonly
+   */
+  const ENGAGEMENT_WEIGHTS = Object.freeze({
+    THUMBS_UP: 3,
+    HEART: 2,
+    HOORAY: 2,
+    ROCKET: 2,
+    LAUGH: 1,
+    EYES: 1,
+    CONFUSED: -1,
+    THUMBS_DOWN: -2,
+    REPLY: 1,
   });
 
   /**
@@ -50,10 +149,38 @@ window.PRSorter = window.PRSorter || {};
     REVIEW_COMMENT: ".review-comment",
     COMMENT_GROUP: ".timeline-comment-group",
     RESOLVABLE_THREAD: ".js-resolvable-timeline-thread-container",
+    // Unresolved threads: <details> on the Conversation tab, inline
+    // containers in the diff on the Files changed tab
+    UNRESOLVED_THREAD:
+      'details[data-resolved="false"], .js-resolvable-timeline-thread-container[data-resolved="false"]',
+    // Review threads whether resolved or not, matched the same way
+    REVIEW_THREAD:
+      "details[data-resolved], .js-resolvable-timeline-thread-container[data-resolved]",
+    // Threads snoozed by the user, left out of the unresolved count
+    SNOOZED_THREAD: "[data-pr-sorter-snoozed]",
+    // Title and Open / Draft / Merged / Closed label in the PR header
+    PR_TITLE:
+      ".js-issue-title, .gh-header-title .markdown-title, [data-testid='issue-title']",
+    PR_STATE: ".gh-header-meta .State, .gh-header-sticky .State",
+    // A file in the Files changed diff
+    DIFF_FILE: ".file, .js-file",
     MERGE_BOX:
       "#partial-pull-merging, .merge-status-list, .branch-action-state-container",
     DISCUSSION_BUCKET:
       "#discussion_bucket, .discussion-timeline, .js-discussion",
+    REACTION_BUTTON:
+      ".js-reaction-group-button, .social-reaction-summary-item, .reaction-summary-item",
+    // File path shown in the header of a review thread
+    THREAD_PATH:
+      "summary .text-mono, .file-header [title], .file-info a",
+    // Text the conversation search looks at
+    SEARCHABLE:
+      ".comment-body, .author, .js-author, summary .text-mono, .file-header [title], .file-info a",
+    // GitHub's "N hidden items — Load more…" pagination buttons
+    LOAD_MORE:
+      ".js-discussion .ajax-pagination-form button[type='submit'], .js-discussion .ajax-pagination-btn",
+    // Rows the extension inserts into the timeline (headers, summaries)
+    EXTENSION_ROW: '[data-extension="pr-comment-sorter"]',
   });
 
   /**
@@ -84,9 +211,33 @@ window.PRSorter = window.PRSorter || {};
       '<path d="m.427 1.927 1.215 1.215a8.002 8.002 0 1 1-1.6 5.685.75.75 0 1 1 1.493-.154 6.5 6.5 0 1 0 1.18-4.458l1.358 1.358A.25.25 0 0 1 3.896 6H.25A.25.25 0 0 1 0 5.75V2.104a.25.25 0 0 1 .427-.177ZM7.75 4a.75.75 0 0 1 .75.75v2.992l2.028.812a.75.75 0 0 1-.557 1.392l-2.5-1A.751.751 0 0 1 7 8.25v-3.5a.75.75 0 0 1 .75-.75Z"/>',
     // sync - Reset/refresh icon
     sync: '<path d="M1.705 8.005a.75.75 0 0 1 .834.656 5.5 5.5 0 0 0 9.592 2.97l-1.204-1.204a.25.25 0 0 1 .177-.427h3.646a.25.25 0 0 1 .25.25v3.646a.25.25 0 0 1-.427.177l-1.38-1.38A7.002 7.002 0 0 1 1.05 8.84a.75.75 0 0 1 .656-.834ZM8 2.5a5.487 5.487 0 0 0-4.131 1.869l1.204 1.204A.25.25 0 0 1 4.896 6H1.25A.25.25 0 0 1 1 5.75V2.104a.25.25 0 0 1 .427-.177l1.38 1.38A7.002 7.002 0 0 1 14.95 7.16a.75.75 0 0 1-1.49.178A5.5 5.5 0 0 0 8 2.5Z"/>',
+    // people - Group by author icon
+    people:
+      '<path d="M2 5.5a3.5 3.5 0 1 1 5.898 2.549 5.508 5.508 0 0 1 3.034 4.084.75.75 0 1 1-1.482.235 4 4 0 0 0-7.9 0 .75.75 0 0 1-1.482-.236A5.507 5.507 0 0 1 3.102 8.05 3.49 3.49 0 0 1 2 5.5ZM11 4a3.001 3.001 0 0 1 2.22 5.018 5.01 5.01 0 0 1 2.56 3.012.749.749 0 0 1-.885.954.752.752 0 0 1-.549-.514 3.507 3.507 0 0 0-2.522-2.372.75.75 0 0 1-.574-.73v-.352a.75.75 0 0 1 .416-.672A1.5 1.5 0 0 0 11 5.5.75.75 0 0 1 11 4Zm-5.5-.5a2 2 0 1 0-.001 3.999A2 2 0 0 0 5.5 3.5Z"/>',
+    // smiley - Reactions icon
+    smiley:
+      '<path d="M8 0a8 8 0 1 1 0 16A8 8 0 0 1 8 0ZM1.5 8a6.5 6.5 0 1 0 13 0 6.5 6.5 0 0 0-13 0Zm3.82 1.636a.75.75 0 0 1 1.038.175l.007.009c.103.118.22.222.35.31.264.178.683.37 1.285.37.602 0 1.02-.192 1.285-.371.13-.088.247-.192.35-.31l.007-.008a.75.75 0 0 1 1.222.87l-.022-.015c.02.013.021.015.021.015v.001l-.001.002-.002.003-.005.007-.014.019a2.066 2.066 0 0 1-.184.213c-.16.166-.338.316-.53.445-.63.418-1.37.638-2.127.629-.946 0-1.652-.308-2.126-.63a3.331 3.331 0 0 1-.715-.657l-.014-.02-.005-.006-.002-.003v-.002h-.001l.613-.432-.614.43a.75.75 0 0 1 .183-1.044ZM12 7a1 1 0 1 1-2 0 1 1 0 0 1 2 0ZM5 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z"/>',
+    // note - Private notes icon
+    note:
+      '<path d="M0 3.75C0 2.784.784 2 1.75 2h12.5c.966 0 1.75.784 1.75 1.75v8.5A1.75 1.75 0 0 1 14.25 14H1.75A1.75 1.75 0 0 1 0 12.25Zm1.75-.25a.25.25 0 0 0-.25.25v8.5c0 .138.112.25.25.25h12.5a.25.25 0 0 0 .25-.25v-8.5a.25.25 0 0 0-.25-.25ZM3.5 6.25a.75.75 0 0 1 .75-.75h7a.75.75 0 0 1 0 1.5h-7a.75.75 0 0 1-.75-.75Zm.75 2.75h4a.75.75 0 0 1 0 1.5h-4a.75.75 0 0 1 0-1.5Z"/>',
+    // filter - Filter icon
+    filter:
+      '<path d="M.75 3h14.5a.75.75 0 0 1 0 1.5H.75a.75.75 0 0 1 0-1.5ZM3 7.75A.75.75 0 0 1 3.75 7h8.5a.75.75 0 0 1 0 1.5h-8.5A.75.75 0 0 1 3 7.75Zm3 4a.75.75 0 0 1 .75-.75h2.5a.75.75 0 0 1 0 1.5h-2.5a.75.75 0 0 1-.75-.75Z"/>',
+    // pulse - Recent activity icon
+    pulse:
+      '<path d="M6 2c.306 0 .582.187.696.471L10 10.731l1.304-3.26A.751.751 0 0 1 12 7h3.25a.75.75 0 0 1 0 1.5h-2.742l-1.812 4.528a.751.751 0 0 1-1.392 0L6 4.77 4.696 8.03A.75.75 0 0 1 4 8.5H.75a.75.75 0 0 1 0-1.5h2.742l1.812-4.529A.751.751 0 0 1 6 2Z"/>',
     // chevron-down - Collapse icon
     chevronDown:
       '<path d="M12.78 5.22a.749.749 0 0 1 0 1.06l-4.25 4.25a.749.749 0 0 1-1.06 0L3.22 6.28a.749.749 0 1 1 1.06-1.06L8 8.939l3.72-3.719a.749.749 0 0 1 1.06 0Z"/>',
+    // chevron-up - Previous icon
+    chevronUp:
+      '<path d="M3.22 10.53a.749.749 0 0 1 0-1.06l4.25-4.25a.749.749 0 0 1 1.06 0l4.25 4.25a.749.749 0 1 1-1.06 1.06L8 6.811 4.28 10.53a.749.749 0 0 1-1.06 0Z"/>',
+    // search - Search icon
+    search:
+      '<path d="M10.68 11.74a6 6 0 0 1-7.922-8.982 6 6 0 0 1 8.982 7.922l3.04 3.04a.749.749 0 0 1-.326 1.275.749.749 0 0 1-.734-.215ZM11.5 7a4.499 4.499 0 1 0-8.997 0A4.499 4.499 0 0 0 11.5 7Z"/>',
+    // git-commit - Commit icon
+    gitCommit:
+      '<path d="M11.93 8.5a4.002 4.002 0 0 1-7.86 0H.75a.75.75 0 0 1 0-1.5h3.32a4.002 4.002 0 0 1 7.86 0h3.32a.75.75 0 0 1 0 1.5Zm-1.43-.75a2.5 2.5 0 1 0-5 0 2.5 2.5 0 0 0 5 0Z"/>',
     // x - Close icon
     x: '<path d="M3.72 3.72a.75.75 0 0 1 1.06 0L8 6.94l3.22-3.22a.749.749 0 0 1 1.275.326.749.749 0 0 1-.215.734L9.06 8l3.22 3.22a.749.749 0 0 1-.326 1.275.749.749 0 0 1-.734-.215L8 9.06l-3.22 3.22a.751.751 0 0 1-1.042-.018.751.751 0 0 0-.018-1.042L6.94 8 3.72 4.78a.75.75 0 0 1 0-1.06Z"/>',
   };
@@ -99,6 +250,14 @@ window.PRSorter = window.PRSorter || {};
    * Internal state variables
    */
   let _currentSort = SORT_OPTIONS.DATE_NEWEST;
+  let _currentFilter = FILTER_OPTIONS.ALL;
+  let _customSorts = [];
+  let _collapseBots = true;
+  let _botLogins = [];
+  let _loadHiddenItems = false;
+  let _hiddenEventTypes = [];
+  let _hideOutdated = false;
+  let _stalenessThresholds = { ...DEFAULT_STALENESS_THRESHOLDS };
   let _sortControlsInjected = false;
   let _isInitialized = false;
   let _debounceTimer = null;
@@ -115,6 +274,62 @@ window.PRSorter = window.PRSorter || {};
       _currentSort = value;
     },
 
+    get currentFilter() {
+      return _currentFilter;
+    },
+    set currentFilter(value) {
+      _currentFilter = value;
+    },
+
+    get customSorts() {
+      return _customSorts;
+    },
+    set customSorts(value) {
+      _customSorts = value;
+    },
+
+    get collapseBots() {
+      return _collapseBots;
+    },
+    set collapseBots(value) {
+      _collapseBots = value;
+    },
+
+    get botLogins() {
+      return _botLogins;
+    },
+    set botLogins(value) {
+      _botLogins = value;
+    },
+
+    get hiddenEventTypes() {
+      return _hiddenEventTypes;
+    },
+    set hiddenEventTypes(value) {
+      _hiddenEventTypes = value;
+    },
+
+    get hideOutdated() {
+      return _hideOutdated;
+    },
+    set hideOutdated(value) {
+      _hideOutdated = value;
+    },
+
+    get loadHiddenItems() {
+      return _loadHiddenItems;
+    },
+    set loadHiddenItems(value) {
+      _loadHiddenItems = value;
+    },
+
+    get stalenessThresholds() {
+      return _stalenessThresholds;
+    },
+    set stalenessThresholds(value) {
+      _stalenessThresholds = value;
+    },
+
     get sortControlsInjected() {
       return _sortControlsInjected;
     },
@@ -185,6 +400,16 @@ window.PRSorter = window.PRSorter || {};
     return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="${size}" height="${size}" fill="currentColor" aria-hidden="true">${path}</svg>`;
   }
 
+  /**
+   * Identify the pull request of the current page
+   * @param {string} [pathname=window.location.pathname] - Page path
+   * @returns {string|null} "owner/repo/number", or null outside a PR
+   */
+  function getPullRequestKey(pathname = window.location.pathname) {
+    const match = pathname.match(/^\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+    return match ? `${match[1]}/${match[2]}/${match[3]}` : null;
+  }
+
   // ============================================
   // STORAGE UTILITIES
   // ============================================
@@ -205,6 +430,44 @@ window.PRSorter = window.PRSorter || {};
     }
   }
 
+  /**
+   * Check whether a sort option is a built-in option or a saved custom sort
+   * @param {string} sortOption - Sort option to check
+   * @returns {boolean} True if the option can be applied
+   */
+  function isValidSortOption(sortOption) {
+    return (
+      Object.values(SORT_OPTIONS).includes(sortOption) ||
+      state.customSorts.some((sort) => sort.id === sortOption)
+    );
+  }
+
+  /**
+   * Load saved custom sorts into state
+   * Entries without an id, a name or at least one key are dropped
+   * @returns {Promise<Object[]>} The loaded custom sorts
+   */
+  function loadCustomSorts() {
+    if (chrome?.storage?.sync) {
+      return chrome.storage.sync
+        .get(["customSorts"])
+        .then((result) => {
+          const sorts = Array.isArray(result.customSorts) ? result.customSorts : [];
+          state.customSorts = sorts.filter(
+            (sort) =>
+              sort &&
+              typeof sort.id === "string" &&
+              sort.name &&
+              Array.isArray(sort.keys) &&
+              sort.keys.length > 0
+          );
+          return state.customSorts;
+        })
+        .catch(() => state.customSorts);
+    }
+    return Promise.resolve(state.customSorts);
+  }
+
   /**
    * Load saved preferences (dead code removed)
    * Returns a promise that resolves with the loaded sort preference
@@ -212,12 +475,12 @@ window.PRSorter = window.PRSorter || {};
    */
   function loadSavedPreference() {
     if (chrome?.storage?.sync) {
-      return chrome.storage.sync
-        .get(["sortPreference"])
+      return loadCustomSorts()
+        .then(() => chrome.storage.sync.get(["sortPreference"]))
         .then((result) => {
           if (
             result.sortPreference &&
-            Object.values(SORT_OPTIONS).includes(result.sortPreference)
+            isValidSortOption(result.sortPreference)
           ) {
             state.currentSort = result.sortPreference;
             return state.currentSort;
@@ -232,17 +495,226 @@ window.PRSorter = window.PRSorter || {};
     return Promise.resolve(null);
   }
 
+  /**
+   * Save filter preference to storage
+   * @param {string} filterOption - The filter option to save
+   */
+  function saveFilterPreference(filterOption) {
+    if (chrome?.storage?.sync) {
+      chrome.storage.sync
+        .set({ filterPreference: filterOption })
+        .catch(() => {
+          // Silently fail if storage is unavailable
+        });
+    }
+  }
+
+  /**
+   * Load the saved filter preference
+   * @returns {Promise<string|null>} The saved filter option, or null if none
+   */
+  function loadSavedFilterPreference() {
+    if (chrome?.storage?.sync) {
+      return chrome.storage.sync
+        .get(["filterPreference"])
+        .then((result) => {
+          if (
+            result.filterPreference &&
+            Object.values(FILTER_OPTIONS).includes(result.filterPreference)
+          ) {
+            state.currentFilter = result.filterPreference;
+            return state.currentFilter;
+          }
+          return null;
+        })
+        .catch(() => null);
+    }
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Save the hidden event types to Chrome storage
+   * @param {string[]} eventTypes - Event types to hide
+   */
+  function saveHiddenEventTypes(eventTypes) {
+    if (chrome?.storage?.sync) {
+      chrome.storage.sync
+        .set({ hiddenEventTypes: eventTypes })
+        .catch(() => {
+          // Silently fail if storage is unavailable
+        });
+    }
+  }
+
+  /**
+   * Load the hidden event types into state
+   * Unknown types and the discussion types (comments, reviews) are dropped
+   * @returns {Promise<string[]>} The hidden event types
+   */
+  function loadHiddenEventTypes() {
+    if (chrome?.storage?.sync) {
+      return chrome.storage.sync
+        .get(["hiddenEventTypes"])
+        .then((result) => {
+          state.hiddenEventTypes = Array.isArray(result.hiddenEventTypes)
+            ? result.hiddenEventTypes.filter((type) =>
+                HIDEABLE_EVENT_TYPES.includes(type)
+              )
+            : [];
+          return state.hiddenEventTypes;
+        })
+        .catch(() => state.hiddenEventTypes);
+    }
+    return Promise.resolve(state.hiddenEventTypes);
+  }
+
+  /**
+   * Save whether outdated review threads are hidden to Chrome storage
+   * @param {boolean} hidden - Hide outdated threads
+   */
+  function saveHideOutdated(hidden) {
+    if (chrome?.storage?.sync) {
+      chrome.storage.sync.set({ hideOutdated: hidden }).catch(() => {
+        // Silently fail if storage is unavailable
+      });
+    }
+  }
+
+  /**
+   * Load whether outdated review threads are hidden into state
+   * @returns {Promise<boolean>} True if outdated threads are hidden
+   */
+  function loadHideOutdatedPreference() {
+    if (chrome?.storage?.sync) {
+      return chrome.storage.sync
+        .get(["hideOutdated"])
+        .then((result) => {
+          state.hideOutdated = result.hideOutdated === true;
+          return state.hideOutdated;
+        })
+        .catch(() => state.hideOutdated);
+    }
+    return Promise.resolve(state.hideOutdated);
+  }
+
+  /**
+   * Normalize user-configured bot logins (lowercase, without `[bot]` suffix)
+   * @param {string[]|string} logins - Logins as an array or comma-separated list
+   * @returns {string[]} Normalized logins
+   */
+  function normalizeBotLogins(logins) {
+    const list = Array.isArray(logins) ? logins : String(logins || "").split(",");
+    return list
+      .map((login) => login.trim().toLowerCase().replace(/\[bot\]$/, ""))
+      .filter(Boolean);
+  }
+
+  /**
+   * Load bot noise preferences into state
+   * @returns {Promise<void>}
+   */
+  function loadBotPreferences() {
+    if (chrome?.storage?.sync) {
+      return chrome.storage.sync
+        .get(["collapseBots", "botLogins"])
+        .then((result) => {
+          state.collapseBots = result.collapseBots !== false; // Default to true
+          state.botLogins = normalizeBotLogins(result.botLogins);
+        })
+        .catch(() => {
+          // Keep defaults if storage is unavailable
+        });
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Load the opt-in preference for loading hidden timeline items
+   * @returns {Promise<void>}
+   */
+  function loadHiddenItemsPreference() {
+    if (chrome?.storage?.sync) {
+      return chrome.storage.sync
+        .get(["loadHiddenItems"])
+        .then((result) => {
+          state.loadHiddenItems = result.loadHiddenItems === true; // Default to false
+        })
+        .catch(() => {
+          // Keep default if storage is unavailable
+        });
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Validate user-configured staleness thresholds
+   * Missing or invalid values fall back to the defaults, and the stale
+   * threshold is never below the aging one.
+   * @param {Object} [thresholds] - Thresholds in days ({ aging, stale })
+   * @returns {{aging: number, stale: number}} Valid thresholds
+   */
+  function normalizeStalenessThresholds(thresholds) {
+    const toDays = (value, fallback) => {
+      const days = Number(value);
+      return Number.isFinite(days) && days > 0 ? days : fallback;
+    };
+    const aging = toDays(thresholds?.aging, DEFAULT_STALENESS_THRESHOLDS.aging);
+    const stale = toDays(thresholds?.stale, DEFAULT_STALENESS_THRESHOLDS.stale);
+    return { aging, stale: Math.max(aging, stale) };
+  }
+
+  /**
+   * Load the staleness thresholds into state
+   * @returns {Promise<void>}
+   */
+  function loadStalenessThresholds() {
+    if (chrome?.storage?.sync) {
+      return chrome.storage.sync
+        .get(["stalenessThresholds"])
+        .then((result) => {
+          state.stalenessThresholds = normalizeStalenessThresholds(
+            result.stalenessThresholds
+          );
+        })
+        .catch(() => {
+          // Keep defaults if storage is unavailable
+        });
+    }
+    return Promise.resolve();
+  }
+
   // Export to global namespace
   window.PRSorter.Core = {
     SORT_OPTIONS,
+    FILTER_OPTIONS,
+    EVENT_TYPES,
+    HIDEABLE_EVENT_TYPES,
+    WAITING_ON,
+    STALENESS,
+    DEFAULT_STALENESS_THRESHOLDS,
     TIMING,
+    ENGAGEMENT_WEIGHTS,
     SELECTORS,
     OCTICONS,
     state,
     safeQuery,
     safeQueryAll,
     createOcticon,
+    getPullRequestKey,
     savePreference,
+    isValidSortOption,
+    loadCustomSorts,
     loadSavedPreference,
+    saveFilterPreference,
+    loadSavedFilterPreference,
+    saveHiddenEventTypes,
+    loadHiddenEventTypes,
+    saveHideOutdated,
+    loadHideOutdatedPreference,
+    normalizeBotLogins,
+    loadBotPreferences,
+    loadHiddenItemsPreference,
+    normalizeStalenessThresholds,
+    loadStalenessThresholds,
   };
 })();
@@ -0,0 +1,361 @@
+/**
+ * PR Enhancer - Filters Module
+ *
+ * @fileoverview Timeline filtering that hides items without removing them from the DOM
+ * @module filters
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const {
+    FILTER_OPTIONS,
+    EVENT_TYPES,
+    HIDEABLE_EVENT_TYPES,
+    SELECTORS,
+    state,
+    saveFilterPreference,
+    saveHiddenEventTypes,
+    saveHideOutdated,
+    safeQuery,
+    safeQueryAll,
+  } = window.PRSorter.Core;
+  const {
+    isCommentResolved,
+    isReviewItem,
+    isTopLevelComment,
+    getCommentAuthor,
+    isBotAuthor,
+    getTimelineItemType,
+    isThreadOutdated,
+  } = window.PRSorter.Comments;
+  const { AUTHOR_HEADER_CLASS } = window.PRSorter.Sorting;
+
+  /**
+   * Class applied to timeline items hidden by the active filter
+   * @constant {string}
+   */
+  const FILTERED_CLASS = "pr-sorter-filtered-out";
+
+  /**
+   * Class applied to outdated review threads while they are hidden
+   * @constant {string}
+   */
+  const OUTDATED_HIDDEN_CLASS = "pr-sorter-outdated-hidden";
+
+  // Hidden outdated threads the user jumped to, kept visible until the
+  // outdated toggle changes
+  let _revealedThreads = new WeakSet();
+
+  // Will be available after bots.js and ui.js load
+  let updateFilterIndicator, updateEventMenu, updateOutdatedMenu;
+  let showNotification;
+  let collapseBotNoise;
+
+  // Initialize bot and UI function references after they load
+  setTimeout(() => {
+    if (window.PRSorter.Bots) {
+      collapseBotNoise = window.PRSorter.Bots.collapseBotNoise;
+    }
+    if (window.PRSorter.UI) {
+      updateFilterIndicator = window.PRSorter.UI.updateFilterIndicator;
+      updateEventMenu = window.PRSorter.UI.updateEventMenu;
+      updateOutdatedMenu = window.PRSorter.UI.updateOutdatedMenu;
+      showNotification = window.PRSorter.UI.showNotification;
+    }
+  }, 0);
+
+  // ============================================
+  // FILTER PREDICATES
+  // ============================================
+
+  /**
+   * Predicates deciding whether a timeline item is visible for each filter
+   * @constant {Object.<string, function(Element): boolean>}
+   */
+  const FILTER_PREDICATES = Object.freeze({
+    [FILTER_OPTIONS.ALL]: () => true,
+    [FILTER_OPTIONS.UNRESOLVED]: (el) => !isCommentResolved(el),
+    [FILTER_OPTIONS.REVIEW]: (el) => isReviewItem(el),
+    [FILTER_OPTIONS.TOP_LEVEL]: (el) => isTopLevelComment(el),
+    [FILTER_OPTIONS.NO_BOTS]: (el) => !isBotAuthor(getCommentAuthor(el), el),
+  });
+
+  /**
+   * Human readable labels for each filter option
+   * @constant {Object.<string, string>}
+   */
+  const FILTER_LABELS = Object.freeze({
+    [FILTER_OPTIONS.ALL]: "All comments",
+    [FILTER_OPTIONS.UNRESOLVED]: "Unresolved threads",
+    [FILTER_OPTIONS.REVIEW]: "Review comments",
+    [FILTER_OPTIONS.TOP_LEVEL]: "Top-level comments",
+    [FILTER_OPTIONS.NO_BOTS]: "Without bots",
+  });
+
+  /**
+   * Get the label of a filter option
+   * @param {string} filterOption - Filter option
+   * @returns {string} The label
+   */
+  function getFilterLabel(filterOption) {
+    return FILTER_LABELS[filterOption] || filterOption;
+  }
+
+  // ============================================
+  // EVENT TYPES
+  // ============================================
+
+  /**
+   * Human readable labels for each hideable event type
+   * @constant {Object.<string, string>}
+   */
+  const EVENT_TYPE_LABELS = Object.freeze({
+    [EVENT_TYPES.COMMIT]: "Commit pushes",
+    [EVENT_TYPES.FORCE_PUSH]: "Force-pushes",
+    [EVENT_TYPES.LABEL]: "Label changes",
+    [EVENT_TYPES.REVIEW_REQUEST]: "Review requests",
+    [EVENT_TYPES.DEPLOYMENT]: "Deployments",
+    [EVENT_TYPES.REFERENCE]: "Cross-references",
+    [EVENT_TYPES.OTHER]: "Other events",
+  });
+
+  /**
+   * Check whether a timeline item is an event of a hidden type
+   * @param {Element} el - Timeline item
+   * @returns {boolean} True if the item's event type is hidden
+   */
+  function isEventHidden(el) {
+    return (
+      state.hiddenEventTypes.length > 0 &&
+      state.hiddenEventTypes.includes(getTimelineItemType(el))
+    );
+  }
+
+  /**
+   * Show or hide one event type, persist the choice and update the timeline
+   * @param {string} eventType - One of HIDEABLE_EVENT_TYPES
+   * @param {boolean} hidden - Whether to hide events of this type
+   */
+  function setEventTypeHidden(eventType, hidden) {
+    if (!HIDEABLE_EVENT_TYPES.includes(eventType)) return;
+
+    const others = state.hiddenEventTypes.filter((type) => type !== eventType);
+    state.hiddenEventTypes = hidden ? [...others, eventType] : others;
+    saveHiddenEventTypes(state.hiddenEventTypes);
+
+    // Hidden events no longer split bot runs, so fold them again
+    if (collapseBotNoise) collapseBotNoise();
+    applyFilter(state.currentFilter, { silent: true });
+    if (updateEventMenu) updateEventMenu();
+  }
+
+  // ============================================
+  // OUTDATED THREADS
+  // ============================================
+
+  /**
+   * Get the review threads GitHub marks as outdated, resolved or not
+   * @returns {Element[]} Outdated threads in document order
+   */
+  function getOutdatedThreads() {
+    return safeQueryAll(SELECTORS.REVIEW_THREAD).filter(isThreadOutdated);
+  }
+
+  /**
+   * Hide or show outdated review threads according to state.hideOutdated
+   * Works on single threads rather than timeline items, so it also applies
+   * to inline threads on the Files changed tab.
+   *
+   * @returns {number} Number of hidden threads
+   */
+  function applyOutdatedFilter() {
+    let hiddenCount = 0;
+    safeQueryAll(SELECTORS.REVIEW_THREAD).forEach((thread) => {
+      const hidden =
+        state.hideOutdated &&
+        !_revealedThreads.has(thread) &&
+        isThreadOutdated(thread);
+      thread.classList.toggle(OUTDATED_HIDDEN_CLASS, hidden);
+      if (hidden) hiddenCount++;
+    });
+    return hiddenCount;
+  }
+
+  /**
+   * Show or hide outdated threads, persist the choice and update the page
+   * @param {boolean} hidden - Whether to hide outdated threads
+   */
+  function setOutdatedHidden(hidden) {
+    state.hideOutdated = hidden;
+    saveHideOutdated(hidden);
+    _revealedThreads = new WeakSet();
+
+    const count = applyOutdatedFilter();
+    if (updateOutdatedMenu) updateOutdatedMenu();
+    if (showNotification) {
+      showNotification(
+        hidden
+          ? `Hiding outdated threads (${count} hidden)`
+          : "Showing outdated threads"
+      );
+    }
+  }
+
+  /**
+   * Show one hidden outdated thread, e.g. when navigating to it, without
+   * showing the others
+   * @param {Element} thread - Review thread
+   */
+  function revealOutdatedThread(thread) {
+    if (!thread.classList.contains(OUTDATED_HIDDEN_CLASS)) return;
+    _revealedThreads.add(thread);
+    thread.classList.remove(OUTDATED_HIDDEN_CLASS);
+  }
+
+  /**
+   * Expand every outdated thread, showing them first if they were hidden
+   * @returns {number} Number of outdated threads expanded
+   */
+  function expandOutdatedThreads() {
+    if (state.hideOutdated) {
+      state.hideOutdated = false;
+      saveHideOutdated(false);
+      applyOutdatedFilter();
+      if (updateOutdatedMenu) updateOutdatedMenu();
+    }
+
+    const threads = getOutdatedThreads();
+    threads.forEach((thread) => {
+      if (thread instanceof HTMLDetailsElement) thread.open = true;
+    });
+
+    if (showNotification) {
+      showNotification(
+        threads.length === 0
+          ? "No outdated threads"
+          : `Expanded ${threads.length} outdated thread${threads.length === 1 ? "" : "s"}`
+      );
+    }
+    return threads.length;
+  }
+
+  // ============================================
+  // FILTERING
+  // ============================================
+
+  /**
+   * Hide inserted rows whose items are all filtered out: author section
+   * headers, and summary rows linked to their items by data-pr-sorter-run
+   * @param {Element} container - The discussion container
+   */
+  function updateInsertedRows(container) {
+    safeQueryAll(
+      `:scope > ${SELECTORS.EXTENSION_ROW}[data-pr-sorter-run]`,
+      container
+    ).forEach((row) => {
+      const runId = row.getAttribute("data-pr-sorter-run");
+      const items = safeQueryAll(
+        `:scope > [data-pr-sorter-run="${runId}"]:not(${SELECTORS.EXTENSION_ROW})`,
+        container
+      );
+      row.classList.toggle(
+        FILTERED_CLASS,
+        items.every((el) => el.classList.contains(FILTERED_CLASS))
+      );
+    });
+
+    let header = null;
+    let visibleCount = 0;
+
+    const flush = () => {
+      if (header) header.classList.toggle(FILTERED_CLASS, visibleCount === 0);
+    };
+
+    Array.from(container.children).forEach((el) => {
+      if (el.classList.contains(AUTHOR_HEADER_CLASS)) {
+        flush();
+        header = el;
+        visibleCount = 0;
+      } else if (
+        !el.matches(SELECTORS.EXTENSION_ROW) &&
+        !el.classList.contains(FILTERED_CLASS)
+      ) {
+        visibleCount++;
+      }
+    });
+    flush();
+  }
+
+  /**
+   * Apply a filter to the timeline, hiding items that don't match it,
+   * events of hidden types and, when enabled, outdated threads
+   * Items stay in the DOM so filtering combines with the current sort
+   *
+   * @param {string} filterOption - The filter option to apply
+   * @param {Object} [options]
+   * @param {boolean} [options.silent=false] - Skip saving and the notification
+   * @returns {number} Number of hidden items
+   */
+  function applyFilter(filterOption, { silent = false } = {}) {
+    const option = FILTER_PREDICATES[filterOption]
+      ? filterOption
+      : FILTER_OPTIONS.ALL;
+    state.currentFilter = option;
+    if (!silent) saveFilterPreference(option);
+
+    applyOutdatedFilter();
+
+    const container = safeQuery(".js-discussion");
+    if (!container) return 0;
+
+    const predicate = FILTER_PREDICATES[option];
+    let hiddenCount = 0;
+
+    Array.from(container.children).forEach((el) => {
+      if (el.matches(SELECTORS.EXTENSION_ROW)) return;
+      // Never hide GitHub's "Load more" pagination
+      if (el.querySelector(SELECTORS.LOAD_MORE)) return;
+      let visible = true;
+      try {
+        visible = predicate(el) && !isEventHidden(el);
+      } catch (e) {
+        console.warn("[PR Enhancer] Error filtering item:", e, el);
+      }
+      el.classList.toggle(FILTERED_CLASS, !visible);
+      if (!visible) hiddenCount++;
+    });
+
+    updateInsertedRows(container);
+
+    if (updateFilterIndicator) updateFilterIndicator(option);
+    if (!silent && showNotification) {
+      showNotification(
+        option === FILTER_OPTIONS.ALL
+          ? "Showing all comments"
+          : `Showing ${getFilterLabel(option).toLowerCase()} (${hiddenCount} hidden)`
+      );
+    }
+
+    return hiddenCount;
+  }
+
+  // Export to global namespace
+  window.PRSorter.Filters = {
+    FILTERED_CLASS,
+    OUTDATED_HIDDEN_CLASS,
+    FILTER_LABELS,
+    EVENT_TYPE_LABELS,
+    applyFilter,
+    getFilterLabel,
+    isEventHidden,
+    setEventTypeHidden,
+    getOutdatedThreads,
+    applyOutdatedFilter,
+    setOutdatedHidden,
+    revealOutdatedThread,
+    expandOutdatedThreads,
+  };
+})();
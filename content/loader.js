@@ -0,0 +1,242 @@
+/**
+ * PR Enhancer - Loader Module
+ *
+ * @fileoverview Expands GitHub's "hidden items — Load more" pagination so sorts see the whole timeline
+ * @module loader
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, state, createOcticon, safeQuery, safeQueryAll } =
+    window.PRSorter.Core;
+  const { applySorting } = window.PRSorter.Sorting;
+
+  /**
+   * Maximum number of pages loaded in one run, to bound huge PRs
+   * @constant {number}
+   */
+  const MAX_PAGES = 20;
+
+  /**
+   * How long to wait for one page before giving up, in milliseconds
+   * @constant {number}
+   */
+  const PAGE_TIMEOUT = 15000;
+
+  /**
+   * How often to check whether a page has arrived, in milliseconds
+   * @constant {number}
+   */
+  const POLL_INTERVAL = 250;
+
+  let _loading = false;
+  let _cancelled = false;
+
+  // Will be available after ui.js loads
+  let showNotification, updateUnresolvedButton;
+
+  // Initialize UI function references after ui.js loads
+  setTimeout(() => {
+    if (window.PRSorter.UI) {
+      showNotification = window.PRSorter.UI.showNotification;
+      updateUnresolvedButton = window.PRSorter.UI.updateUnresolvedButton;
+    }
+  }, 0);
+
+  // ============================================
+  // PAGINATION DETECTION
+  // ============================================
+
+  /**
+   * Get the "Load more" buttons currently in the timeline
+   * @returns {HTMLButtonElement[]} Enabled pagination buttons
+   */
+  function getLoadMoreButtons() {
+    return safeQueryAll(SELECTORS.LOAD_MORE).filter((btn) => !btn.disabled);
+  }
+
+  /**
+   * Count the items GitHub still hides, from its "N hidden items" labels
+   * @returns {number} Number of hidden items (0 if unknown)
+   */
+  function countHiddenItems() {
+    return safeQueryAll(SELECTORS.LOAD_MORE).reduce((total, btn) => {
+      const form = btn.closest("form") || btn.parentElement;
+      const match = form && form.textContent.match(/([\d,]+)\s+hidden items?/i);
+      return total + (match ? parseInt(match[1].replace(/,/g, ""), 10) : 0);
+    }, 0);
+  }
+
+  /**
+   * Check whether the timeline has hidden items to load
+   * @returns {boolean} True if a "Load more" button is present
+   */
+  function hasHiddenItems() {
+    return getLoadMoreButtons().length > 0;
+  }
+
+  // ============================================
+  // PROGRESS INDICATOR
+  // ============================================
+
+  /**
+   * Show or update the progress indicator in the controls bar
+   * @param {number} loaded - Items loaded so far
+   * @param {number} total - Items hidden when loading started (0 if unknown)
+   */
+  function renderProgress(loaded, total) {
+    const row = safeQuery(".pr-comment-sorter-controls .pr-sorter-row");
+    if (!row) return;
+
+    let indicator = safeQuery(".pr-sorter-loader", row);
+    if (!indicator) {
+      indicator = document.createElement("div");
+      indicator.className = "pr-sorter-loader";
+      indicator.setAttribute("data-extension", "pr-comment-sorter");
+      indicator.setAttribute("role", "status");
+      indicator.innerHTML = `
+        <span class="pr-sorter-loader-spinner" aria-hidden="true"></span>
+        <span class="pr-sorter-loader-text"></span>
+        <progress class="pr-sorter-loader-bar"></progress>
+        <button
+          type="button"
+          class="pr-sorter-btn pr-sorter-icon-btn"
+          aria-label="Stop loading hidden items"
+        >
+          ${createOcticon("x", 14)}
+        </button>
+      `;
+      indicator
+        .querySelector(".pr-sorter-btn")
+        .addEventListener("click", cancelLoading);
+      row.appendChild(indicator);
+    }
+
+    indicator.querySelector(".pr-sorter-loader-text").textContent =
+      total > 0
+        ? `Loading hidden items… ${Math.min(loaded, total)} / ${total}`
+        : "Loading hidden items…";
+
+    const bar = indicator.querySelector(".pr-sorter-loader-bar");
+    if (total > 0) {
+      bar.max = total;
+      bar.value = Math.min(loaded, total);
+    } else {
+      bar.removeAttribute("value");
+    }
+  }
+
+  /**
+   * Remove the progress indicator
+   */
+  function removeProgress() {
+    const indicator = safeQuery(".pr-comment-sorter-controls .pr-sorter-loader");
+    if (indicator) indicator.remove();
+  }
+
+  // ============================================
+  // LOADING
+  // ============================================
+
+  /**
+   * Click a "Load more" button and wait until GitHub replaces it
+   * @param {HTMLButtonElement} button - Pagination button
+   * @returns {Promise<boolean>} Resolves true once the page arrived, false on timeout or cancel
+   */
+  function loadPage(button) {
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      button.click();
+
+      const check = () => {
+        if (!button.isConnected) {
+          resolve(true);
+        } else if (_cancelled || Date.now() - startedAt > PAGE_TIMEOUT) {
+          resolve(false);
+        } else {
+          setTimeout(check, POLL_INTERVAL);
+        }
+      };
+      setTimeout(check, POLL_INTERVAL);
+    });
+  }
+
+  /**
+   * Load every hidden timeline item, page by page, then re-apply the
+   * current sort and refresh the unresolved count
+   * Stops after MAX_PAGES pages, when a page times out, or when cancelled.
+   *
+   * @returns {Promise<number>} Number of pages loaded
+   */
+  function loadHiddenItems() {
+    if (_loading || !hasHiddenItems()) return Promise.resolve(0);
+
+    _loading = true;
+    _cancelled = false;
+
+    const total = countHiddenItems();
+    let pages = 0;
+    renderProgress(0, total);
+
+    const next = () => {
+      const button = getLoadMoreButtons()[0];
+      if (!button || _cancelled || pages >= MAX_PAGES) {
+        return Promise.resolve(true);
+      }
+      return loadPage(button).then((loaded) => {
+        if (!loaded) return false;
+        pages++;
+        renderProgress(total - countHiddenItems(), total);
+        return next();
+      });
+    };
+
+    return next().then((completed) => {
+      _loading = false;
+      removeProgress();
+
+      if (pages > 0) {
+        applySorting(state.currentSort);
+        if (updateUnresolvedButton) updateUnresolvedButton();
+      }
+
+      // Reported even when no page loaded, so a first page that times out
+      // or is cancelled doesn't just make the progress bar vanish
+      if (showNotification) {
+        if (_cancelled) {
+          showNotification("Stopped loading hidden items");
+        } else if (!completed) {
+          showNotification(
+            pages === 0
+              ? "Could not load hidden items"
+              : "Could not load all hidden items",
+            "error"
+          );
+        } else if (pages > 0 && hasHiddenItems()) {
+          const loaded = `${pages} ${pages === 1 ? "page" : "pages"}`;
+          showNotification(`Loaded ${loaded}; some items are still hidden`);
+        } else if (pages > 0) {
+          showNotification("Loaded all hidden items");
+        }
+      }
+      return pages;
+    });
+  }
+
+  /**
+   * Stop loading after the current page
+   */
+  function cancelLoading() {
+    if (_loading) _cancelled = true;
+  }
+
+  // Export to global namespace
+  window.PRSorter.Loader = {
+    hasHiddenItems,
+    loadHiddenItems,
+    cancelLoading,
+  };
+})();
@@ -0,0 +1,203 @@
+/**
+ * PR Enhancer - Navigation Module
+ *
+ * @fileoverview Keyboard navigation between unresolved review threads
+ * @module navigation
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, safeQuery, safeQueryAll } = window.PRSorter.Core;
+  const { FILTERED_CLASS, OUTDATED_HIDDEN_CLASS, revealOutdatedThread } =
+    window.PRSorter.Filters;
+  const { prefersReducedMotion } = window.PRSorter.Animation;
+
+  /**
+   * Time allowed between the two keys of a `]u` / `[u` sequence, in milliseconds
+   * @constant {number}
+   */
+  const SEQUENCE_TIMEOUT = 1000;
+
+  /**
+   * How long a thread stays highlighted after navigating to it, in milliseconds
+   * @constant {number}
+   */
+  const HIGHLIGHT_DURATION = 2000;
+
+  let _current = null;
+  let _pendingPrefix = null;
+  let _prefixTimer = null;
+
+  // Will be available after ui.js loads
+  let showNotification;
+
+  // Initialize UI function references after ui.js loads
+  setTimeout(() => {
+    if (window.PRSorter.UI) {
+      showNotification = window.PRSorter.UI.showNotification;
+    }
+  }, 0);
+
+  // ============================================
+  // THREAD NAVIGATION
+  // ============================================
+
+  /**
+   * Get the unresolved threads not snoozed nor hidden by the active filter
+   * or the outdated threads toggle
+   * @returns {HTMLElement[]} Threads in document order
+   */
+  function getNavigableThreads() {
+    return safeQueryAll(SELECTORS.UNRESOLVED_THREAD).filter(
+      (thread) =>
+        !thread.matches(SELECTORS.SNOOZED_THREAD) &&
+        !thread.closest(`.${FILTERED_CLASS}, .${OUTDATED_HIDDEN_CLASS}`)
+    );
+  }
+
+  /**
+   * Find where to start when nothing was navigated to yet: the first thread
+   * below the top of the viewport going forward, the last one above it
+   * going backward
+   * @param {HTMLElement[]} threads - Navigable threads
+   * @param {boolean} backwards - Navigating to the previous thread
+   * @returns {number} Index of the thread to go to
+   */
+  function getStartIndex(threads, backwards) {
+    const tops = threads.map((thread) => thread.getBoundingClientRect().top);
+    if (backwards) {
+      for (let i = tops.length - 1; i >= 0; i--) {
+        if (tops[i] < 0) return i;
+      }
+      return threads.length - 1;
+    }
+    const index = tops.findIndex((top) => top > 0);
+    return index === -1 ? 0 : index;
+  }
+
+  /**
+   * Make a thread visible before scrolling to it: open it, show it if it is
+   * a hidden outdated thread, and on the Files changed tab expand its file
+   * if collapsed and show the file's inline comments if they were hidden
+   * @param {HTMLElement} thread - Review thread
+   */
+  function revealThread(thread) {
+    if (thread instanceof HTMLDetailsElement) thread.open = true;
+    revealOutdatedThread(thread);
+
+    const file = thread.closest(SELECTORS.DIFF_FILE);
+    if (!file) return;
+
+    const toggle = safeQuery(
+      '.file-header .js-details-target[aria-expanded="false"]',
+      file
+    );
+    if (toggle) toggle.click();
+
+    const notesToggle = safeQuery(".js-toggle-file-notes", file);
+    if (notesToggle && !notesToggle.checked) notesToggle.click();
+  }
+
+  /**
+   * Scroll to, focus and highlight the next or previous unresolved thread,
+   * wrapping around at either end
+   * @param {boolean} [backwards=false] - Go to the previous thread
+   * @returns {HTMLElement|null} The thread navigated to
+   */
+  function navigateUnresolved(backwards = false) {
+    const threads = getNavigableThreads();
+    if (threads.length === 0) {
+      if (showNotification) showNotification("No unresolved conversations");
+      return null;
+    }
+
+    const currentIndex = threads.indexOf(_current);
+    const index =
+      currentIndex === -1
+        ? getStartIndex(threads, backwards)
+        : (currentIndex + (backwards ? -1 : 1) + threads.length) %
+          threads.length;
+    const thread = threads[index];
+    _current = thread;
+
+    revealThread(thread);
+    thread.scrollIntoView({
+      behavior: prefersReducedMotion() ? "auto" : "smooth",
+      block: "center",
+    });
+    const summary = thread.querySelector("summary");
+    if (summary) summary.focus({ preventScroll: true });
+
+    thread.classList.add("pr-sorter-highlight");
+    setTimeout(
+      () => thread.classList.remove("pr-sorter-highlight"),
+      HIGHLIGHT_DURATION
+    );
+
+    if (showNotification) {
+      showNotification(`Unresolved ${index + 1} of ${threads.length}`);
+    }
+    return thread;
+  }
+
+  // ============================================
+  // KEYBOARD SHORTCUTS
+  // ============================================
+
+  /**
+   * Check whether a key event comes from a place where the user types
+   * @param {KeyboardEvent} e - Key event
+   * @returns {boolean} True for inputs, textareas, selects and editable content
+   */
+  function isTypingTarget(e) {
+    const target = e.target;
+    return (
+      target instanceof Element &&
+      (target.matches("input, textarea, select") || target.isContentEditable)
+    );
+  }
+
+  /**
+   * Handle `]u` (next) and `[u` (previous) key sequences
+   * @param {KeyboardEvent} e - Key event
+   */
+  function handleKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e)) return;
+
+    if (_pendingPrefix && e.key === "u") {
+      e.preventDefault();
+      const backwards = _pendingPrefix === "[";
+      _pendingPrefix = null;
+      clearTimeout(_prefixTimer);
+      navigateUnresolved(backwards);
+      return;
+    }
+
+    if (e.key === "]" || e.key === "[") {
+      _pendingPrefix = e.key;
+      clearTimeout(_prefixTimer);
+      _prefixTimer = setTimeout(() => {
+        _pendingPrefix = null;
+      }, SEQUENCE_TIMEOUT);
+    } else {
+      _pendingPrefix = null;
+    }
+  }
+
+  /**
+   * Listen for the in-page navigation key sequences
+   */
+  function setupKeyboardNavigation() {
+    document.addEventListener("keydown", handleKeydown);
+  }
+
+  // Export to global namespace
+  window.PRSorter.Navigation = {
+    navigateUnresolved,
+    revealThread,
+    setupKeyboardNavigation,
+  };
+})();
@@ -0,0 +1,408 @@
+/**
+ * PR Enhancer - Notes Module
+ *
+ * @fileoverview Private reviewer notes on review threads and timeline comments, kept in this browser only
+ * @module notes
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const {
+    SELECTORS,
+    createOcticon,
+    getPullRequestKey,
+    safeQueryAll,
+  } = window.PRSorter.Core;
+  const {
+    getCommentAuthor,
+    getGitHubId,
+    getThreadId,
+    getThreadFilePath,
+    getThreadLineRange,
+  } = window.PRSorter.Comments;
+  const { revealThread } = window.PRSorter.Navigation;
+  const { prefersReducedMotion } = window.PRSorter.Animation;
+
+  /**
+   * Prefix of the chrome.storage.local keys holding a PR's notes, followed
+   * by "owner/repo/number"
+   * @constant {string}
+   */
+  const STORAGE_PREFIX = "notes:";
+
+  /**
+   * Longest note text shown in a badge before it is cut with an ellipsis
+   * @constant {number}
+   */
+  const BADGE_TEXT_LENGTH = 40;
+
+  /**
+   * How long a comment stays highlighted after jumping to its note
+   * @constant {number}
+   */
+  const HIGHLIGHT_DURATION = 2000;
+
+  // Notes of the current PR by GitHub ID: { text, updatedAt }
+  let _notes = {};
+  // Storage key the notes above were loaded from and are saved under, null
+  // until they have loaded
+  let _notesKey = null;
+  let _pending = null;
+
+  // Will be available after ui.js loads
+  let showNotification;
+
+  // Initialize UI function references after ui.js loads
+  setTimeout(() => {
+    if (window.PRSorter.UI) {
+      showNotification = window.PRSorter.UI.showNotification;
+    }
+  }, 0);
+
+  // ============================================
+  // STORAGE
+  // ============================================
+
+  /**
+   * Get the storage key of the current PR's notes
+   * @returns {string|null} The key, or null outside a PR
+   */
+  function getStorageKey() {
+    const prKey = getPullRequestKey();
+    return prKey ? `${STORAGE_PREFIX}${prKey}` : null;
+  }
+
+  /**
+   * Load the current PR's notes, replacing those of the PR open before
+   * @returns {Promise<Object>} Notes by GitHub ID
+   */
+  function loadNotes() {
+    const key = getStorageKey();
+    _notes = {};
+    _notesKey = null;
+    if (!key || !chrome?.storage?.local) return Promise.resolve(_notes);
+
+    _pending = chrome.storage.local
+      .get([key])
+      .then((result) => {
+        // Another PR was opened while loading
+        if (key !== getStorageKey()) return _notes;
+
+        const stored = result[key];
+        if (stored && typeof stored === "object") {
+          Object.keys(stored).forEach((id) => {
+            const note = stored[id];
+            if (note && typeof note.text === "string" && note.text.trim()) {
+              _notes[id] = { text: note.text, updatedAt: note.updatedAt || 0 };
+            }
+          });
+        }
+        _notesKey = key;
+        return _notes;
+      })
+      .catch(() => _notes)
+      .finally(() => {
+        _pending = null;
+      });
+    return _pending;
+  }
+
+  /**
+   * Save the notes under the PR they were loaded for, dropping the key once
+   * the last one is gone
+   */
+  function saveNotes() {
+    const key = _notesKey;
+    if (!key || !chrome?.storage?.local) return;
+
+    const request =
+      Object.keys(_notes).length > 0
+        ? chrome.storage.local.set({ [key]: _notes })
+        : chrome.storage.local.remove(key);
+    request.catch(() => {
+      // Silently fail if storage is unavailable
+    });
+  }
+
+  // ============================================
+  // ANCHORING
+  // ============================================
+
+  /**
+   * Find the review threads and timeline comments notes can be attached to,
+   * with the header their badge goes in and the GitHub ID the note is
+   * stored under
+   * @returns {Array<{element: Element, anchor: Element, id: string, isThread: boolean}>}
+   *   Note targets in document order
+   */
+  function getNoteTargets() {
+    const threads = safeQueryAll(SELECTORS.REVIEW_THREAD).map((thread) => ({
+      element: thread,
+      anchor: thread.querySelector(":scope > summary"),
+      id: getThreadId(thread),
+      isThread: true,
+    }));
+    const comments = safeQueryAll(SELECTORS.COMMENT_GROUP)
+      .filter((group) => !group.closest(SELECTORS.REVIEW_THREAD))
+      .map((group) => ({
+        element: group,
+        anchor: group.querySelector(".timeline-comment-header"),
+        id:
+          getGitHubId(group) ||
+          getGitHubId(group.closest(SELECTORS.TIMELINE_ITEM)),
+        isThread: false,
+      }));
+
+    return [...threads, ...comments].filter(
+      (target) => target.anchor && target.id
+    );
+  }
+
+  /**
+   * Find the note target with a GitHub ID
+   * @param {string} id - GitHub ID
+   * @returns {Object|null} The target, or null when it isn't on the page
+   */
+  function findNoteTarget(id) {
+    return getNoteTargets().find((target) => target.id === id) || null;
+  }
+
+  // ============================================
+  // BADGES AND EDITOR
+  // ============================================
+
+  /**
+   * Cut a note to fit in a badge
+   * @param {string} text - Note text
+   * @returns {string} The first line, shortened with an ellipsis if needed
+   */
+  function getBadgeText(text) {
+    const line = text.split("\n")[0];
+    return line.length > BADGE_TEXT_LENGTH
+      ? `${line.slice(0, BADGE_TEXT_LENGTH - 1)}…`
+      : line;
+  }
+
+  /**
+   * Add or refresh the note badge in a target's header: the note's first
+   * line when there is one, otherwise an "add note" button shown on hover
+   * Only touches the DOM when something changed.
+   *
+   * @param {Object} target - Note target from getNoteTargets
+   */
+  function renderNoteBadge(target) {
+    let control = target.anchor.querySelector(":scope > .pr-sorter-note");
+    if (!control) {
+      control = document.createElement("span");
+      control.className = "pr-sorter-note";
+      control.setAttribute("data-extension", "pr-comment-sorter");
+      control.innerHTML = `
+        <button type="button" class="pr-sorter-note-badge">
+          ${createOcticon("note", 12)}
+          <span class="pr-sorter-note-text"></span>
+        </button>
+      `;
+      control.querySelector("button").addEventListener("click", (e) => {
+        // Don't toggle the thread when the badge sits in its summary
+        e.preventDefault();
+        e.stopPropagation();
+        toggleNoteEditor(target);
+      });
+      target.anchor.appendChild(control);
+    }
+
+    const note = _notes[target.id];
+    const button = control.querySelector("button");
+    const text = note ? getBadgeText(note.text) : "";
+    const label = note
+      ? `Private note: ${note.text}`
+      : "Add a private note (never posted to GitHub)";
+
+    button.classList.toggle("pr-sorter-note-badge--empty", !note);
+    const textEl = button.querySelector(".pr-sorter-note-text");
+    if (textEl.textContent !== text) textEl.textContent = text;
+    if (button.title !== label) {
+      button.title = label;
+      button.setAttribute("aria-label", label);
+    }
+  }
+
+  /**
+   * Add or refresh note badges on every thread and comment, re-anchoring
+   * notes by GitHub ID after reloads, re-sorting or GitHub re-rendering
+   * After navigating to another PR without a page load, its notes are
+   * loaded first and the badges added once they are in.
+   */
+  function renderNotes() {
+    if (getStorageKey() !== _notesKey) {
+      if (!_pending) {
+        loadNotes().then(() => {
+          if (getStorageKey() === _notesKey) renderNotes();
+        });
+      }
+      return;
+    }
+    getNoteTargets().forEach(renderNoteBadge);
+  }
+
+  /**
+   * Open the note editor under a target's header, or close it if open
+   * @param {Object} target - Note target from getNoteTargets
+   */
+  function toggleNoteEditor(target) {
+    const existing = target.element.querySelector(".pr-sorter-note-editor");
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    if (target.element instanceof HTMLDetailsElement) {
+      target.element.open = true;
+    }
+
+    const note = _notes[target.id];
+    const editor = document.createElement("div");
+    editor.className = "pr-sorter-note-editor";
+    editor.setAttribute("data-extension", "pr-comment-sorter");
+    editor.innerHTML = `
+      <textarea
+        class="pr-sorter-note-input"
+        rows="3"
+        aria-label="Private note"
+        placeholder="e.g. check with infra before approving"
+      ></textarea>
+      <div class="pr-sorter-note-actions">
+        <span class="pr-sorter-note-hint">Only stored in this browser, never posted to GitHub</span>
+        ${
+          note
+            ? '<button type="button" class="pr-sorter-btn" data-note-action="delete">Delete</button>'
+            : ""
+        }
+        <button type="button" class="pr-sorter-btn" data-note-action="cancel">Cancel</button>
+        <button type="button" class="pr-sorter-btn" data-note-action="save">Save note</button>
+      </div>
+    `;
+
+    const input = editor.querySelector("textarea");
+    input.value = note ? note.text : "";
+
+    const close = () => {
+      editor.remove();
+      target.anchor.querySelector(".pr-sorter-note-badge")?.focus();
+    };
+
+    editor.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-note-action]")?.dataset.noteAction;
+      if (action === "save") setNote(target.id, input.value);
+      if (action === "delete") setNote(target.id, "");
+      if (action) close();
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        close();
+      } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        setNote(target.id, input.value);
+        close();
+      }
+    });
+
+    target.anchor.insertAdjacentElement("afterend", editor);
+    input.focus();
+  }
+
+  // ============================================
+  // NOTES API
+  // ============================================
+
+  /**
+   * Save, replace or (with empty text) delete the note on a thread or
+   * comment, then refresh the badges
+   * @param {string} id - GitHub ID of the thread or comment
+   * @param {string} text - Note text
+   */
+  function setNote(id, text) {
+    const trimmed = String(text || "").trim();
+    const existed = !!_notes[id];
+    if (trimmed) {
+      _notes[id] = { text: trimmed, updatedAt: Date.now() };
+    } else if (existed) {
+      delete _notes[id];
+    } else {
+      return;
+    }
+
+    saveNotes();
+    renderNotes();
+    if (showNotification) {
+      showNotification(trimmed ? "Note saved" : "Note deleted");
+    }
+  }
+
+  /**
+   * List the current PR's notes, most recently edited first, with where
+   * they are attached
+   * @returns {Array<Object>} Notes ({ id, text, updatedAt, element,
+   *   username, path, lines }); element is null when the comment isn't on
+   *   the page (e.g. hidden behind "Load more")
+   */
+  function getNotes() {
+    const targets = new Map(getNoteTargets().map((t) => [t.id, t]));
+
+    return Object.keys(_notes)
+      .map((id) => {
+        const target = targets.get(id) || null;
+        const element = target ? target.element : null;
+        return {
+          id,
+          text: _notes[id].text,
+          updatedAt: _notes[id].updatedAt,
+          element,
+          username: element ? getCommentAuthor(element) : null,
+          path: target && target.isThread ? getThreadFilePath(element) : null,
+          lines: target && target.isThread ? getThreadLineRange(element) : null,
+        };
+      })
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Scroll to the thread or comment a note is attached to
+   * @param {string} id - GitHub ID of the thread or comment
+   * @returns {Element|null} The element jumped to
+   */
+  function jumpToNote(id) {
+    const target = findNoteTarget(id);
+    if (!target) {
+      if (showNotification) {
+        showNotification("This comment isn't loaded on the page", "error");
+      }
+      return null;
+    }
+
+    if (target.isThread) revealThread(target.element);
+    target.element.scrollIntoView({
+      behavior: prefersReducedMotion() ? "auto" : "smooth",
+      block: "center",
+    });
+    target.element.classList.add("pr-sorter-highlight");
+    setTimeout(
+      () => target.element.classList.remove("pr-sorter-highlight"),
+      HIGHLIGHT_DURATION
+    );
+    return target.element;
+  }
+
+  // Export to global namespace
+  window.PRSorter.Notes = {
+    loadNotes,
+    renderNotes,
+    setNote,
+    getNotes,
+    jumpToNote,
+  };
+})();
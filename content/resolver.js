@@ -0,0 +1,181 @@
+/**
+ * PR Enhancer - Resolver Module
+ *
+ * @fileoverview Resolves several review threads in a row through GitHub's own "Resolve conversation" buttons
+ * @module resolver
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { getResolveButton } = window.PRSorter.Comments;
+
+  /**
+   * How long to wait for GitHub to resolve one thread, in milliseconds
+   * @constant {number}
+   */
+  const RESOLVE_TIMEOUT = 10000;
+
+  /**
+   * How often to check whether a thread was resolved, in milliseconds
+   * @constant {number}
+   */
+  const POLL_INTERVAL = 250;
+
+  /**
+   * Most failed threads named in the summary notification
+   * @constant {number}
+   */
+  const MAX_NAMED_FAILURES = 3;
+
+  let _resolving = false;
+
+  // Will be available after ui.js loads
+  let showNotification, updateUnresolvedButton;
+
+  // Initialize UI function references after ui.js loads
+  setTimeout(() => {
+    if (window.PRSorter.UI) {
+      showNotification = window.PRSorter.UI.showNotification;
+      updateUnresolvedButton = window.PRSorter.UI.updateUnresolvedButton;
+    }
+  }, 0);
+
+  /**
+   * Describe a conversation for the failure summary
+   * @param {Object} conv - Unresolved conversation
+   * @returns {string} e.g. "utils.js L12 by @bob"
+   */
+  function describeConversation(conv) {
+    const place = conv.path ? conv.path.split("/").pop() : "thread";
+    const line = conv.lines ? ` L${conv.lines.start}` : "";
+    return `${place}${line} by @${conv.username}`;
+  }
+
+  /**
+   * Summarize the threads that could not be resolved
+   * @param {Object[]} failures - Conversations that failed
+   * @returns {string} e.g. "utils.js L12 by @bob, api.js L3 by @carol and 2 more"
+   */
+  function describeFailures(failures) {
+    const named = failures
+      .slice(0, MAX_NAMED_FAILURES)
+      .map(describeConversation)
+      .join(", ");
+    const rest = failures.length - MAX_NAMED_FAILURES;
+    return rest > 0 ? `${named} and ${rest} more` : named;
+  }
+
+  /**
+   * Check whether GitHub finished resolving a thread
+   * GitHub re-renders the thread once resolved, so a thread that left the
+   * page counts as resolved too.
+   * @param {Element} thread - Review thread element
+   * @returns {boolean} True once the thread is resolved
+   */
+  function isResolved(thread) {
+    return (
+      !thread.isConnected || thread.getAttribute("data-resolved") === "true"
+    );
+  }
+
+  /**
+   * Click a thread's "Resolve conversation" button and wait for GitHub
+   * @param {Element} thread - Review thread element
+   * @returns {Promise<boolean>} Resolves true once resolved, false when the
+   *   button is missing or GitHub didn't respond in time
+   */
+  function resolveThread(thread) {
+    const button = getResolveButton(thread);
+    if (!button) return Promise.resolve(isResolved(thread));
+
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      button.click();
+
+      const check = () => {
+        if (isResolved(thread)) {
+          resolve(true);
+        } else if (Date.now() - startedAt > RESOLVE_TIMEOUT) {
+          resolve(false);
+        } else {
+          setTimeout(check, POLL_INTERVAL);
+        }
+      };
+      setTimeout(check, POLL_INTERVAL);
+    });
+  }
+
+  /**
+   * Resolve conversations one at a time, reporting progress, then refresh
+   * the unresolved count and name the threads that failed
+   * Failures are reported in the final summary: a notification shown right
+   * away would be replaced by the next progress message.
+   *
+   * @param {Object[]} conversations - Conversations from getUnresolvedConversations
+   * @returns {Promise<{resolved: number, failed: number}>} Outcome counts
+   */
+  function resolveConversations(conversations) {
+    if (_resolving || conversations.length === 0) {
+      return Promise.resolve({ resolved: 0, failed: 0 });
+    }
+
+    _resolving = true;
+    const total = conversations.length;
+    const failures = [];
+    let resolved = 0;
+
+    const next = (index) => {
+      if (index >= total) return Promise.resolve();
+
+      const conv = conversations[index];
+      if (showNotification) {
+        showNotification(`Resolving ${index + 1} of ${total}…`);
+      }
+      return resolveThread(conv.element).then((ok) => {
+        if (ok) {
+          resolved++;
+        } else {
+          failures.push(conv);
+        }
+        return next(index + 1);
+      });
+    };
+
+    return next(0).then(() => {
+      _resolving = false;
+      if (updateUnresolvedButton) updateUnresolvedButton();
+
+      if (showNotification) {
+        if (failures.length === 0) {
+          showNotification(
+            `Resolved ${resolved} conversation${resolved === 1 ? "" : "s"}`,
+            "success"
+          );
+        } else {
+          showNotification(
+            `Resolved ${resolved} of ${total}; could not resolve ${describeFailures(failures)}`,
+            "error"
+          );
+        }
+      }
+      return { resolved, failed: failures.length };
+    });
+  }
+
+  /**
+   * Check whether a bulk resolve is running
+   * @returns {boolean} True while threads are being resolved
+   */
+  function isResolving() {
+    return _resolving;
+  }
+
+  // Export to global namespace
+  window.PRSorter.Resolver = {
+    resolveConversations,
+    isResolving,
+  };
+})();
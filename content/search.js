@@ -0,0 +1,289 @@
+/**
+ * PR Enhancer - Search Module
+ *
+ * @fileoverview Full-text search across comments, authors and file paths with match navigation
+ * @module search
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, TIMING, safeQuery, safeQueryAll } = window.PRSorter.Core;
+  const { FILTERED_CLASS, revealOutdatedThread } = window.PRSorter.Filters;
+  const { BOT_COLLAPSED_CLASS, toggleBotRun } = window.PRSorter.Bots;
+
+  /**
+   * Class of the <mark> elements wrapping each match
+   * @constant {string}
+   */
+  const MATCH_CLASS = "pr-sorter-search-match";
+
+  /**
+   * Class of the match currently navigated to
+   * @constant {string}
+   */
+  const CURRENT_MATCH_CLASS = "pr-sorter-search-match--current";
+
+  /**
+   * Queries shorter than this are not searched
+   * @constant {number}
+   */
+  const MIN_QUERY_LENGTH = 2;
+
+  /**
+   * Upper bound on highlighted matches to keep huge PRs responsive
+   * @constant {number}
+   */
+  const MAX_MATCHES = 500;
+
+  let _query = "";
+  let _currentMatch = null;
+  let _searchTimer = null;
+
+  // ============================================
+  // HIGHLIGHTING
+  // ============================================
+
+  /**
+   * Remove all match highlights, restoring the original text nodes
+   */
+  function clearHighlights() {
+    safeQueryAll(`mark.${MATCH_CLASS}`).forEach((mark) => {
+      const parent = mark.parentNode;
+      if (!parent) return;
+      parent.replaceChild(document.createTextNode(mark.textContent), mark);
+      parent.normalize();
+    });
+    _currentMatch = null;
+  }
+
+  /**
+   * Collect searchable text nodes: comment bodies, author names and file
+   * paths inside the discussion, skipping extension rows and filtered items
+   * @param {Element} container - The discussion container
+   * @returns {Text[]} Text nodes to search
+   */
+  function getSearchableTextNodes(container) {
+    const nodes = [];
+    safeQueryAll(SELECTORS.SEARCHABLE, container).forEach((root) => {
+      if (
+        root.closest(SELECTORS.EXTENSION_ROW) ||
+        root.closest(`.${FILTERED_CLASS}`)
+      ) {
+        return;
+      }
+      // Nested searchable roots are reached through their ancestor
+      if (root.parentElement?.closest(SELECTORS.SEARCHABLE)) return;
+
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      let node;
+      while ((node = walker.nextNode())) {
+        if (node.nodeValue.trim()) nodes.push(node);
+      }
+    });
+    return nodes;
+  }
+
+  /**
+   * Wrap every occurrence of the query in a text node with <mark> elements
+   * @param {Text} node - Text node to highlight
+   * @param {string} needle - Lowercased query
+   * @param {number} budget - Remaining number of matches allowed
+   * @returns {number} Number of matches highlighted
+   */
+  function highlightTextNode(node, needle, budget) {
+    let count = 0;
+    let current = node;
+
+    while (current && count < budget) {
+      const index = current.nodeValue.toLowerCase().indexOf(needle);
+      if (index === -1) break;
+
+      const match = current.splitText(index);
+      const rest = match.splitText(needle.length);
+      const mark = document.createElement("mark");
+      mark.className = MATCH_CLASS;
+      mark.textContent = match.nodeValue;
+      match.parentNode.replaceChild(mark, match);
+
+      current = rest;
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Get all current matches in document order
+   * @returns {HTMLElement[]} Match elements
+   */
+  function getMatches() {
+    return safeQueryAll(`mark.${MATCH_CLASS}`);
+  }
+
+  // ============================================
+  // REVEALING MATCHES
+  // ============================================
+
+  /**
+   * Make a match visible: open collapsed or outdated threads around it,
+   * show its thread if outdated threads are hidden, and expand the bot run
+   * it was folded into
+   * @param {HTMLElement} match - Match element
+   */
+  function revealMatch(match) {
+    const thread = match.closest(SELECTORS.REVIEW_THREAD);
+    if (thread) revealOutdatedThread(thread);
+
+    let details = match.closest("details");
+    while (details) {
+      details.open = true;
+      details = details.parentElement?.closest("details");
+    }
+
+    const folded = match.closest(`.${BOT_COLLAPSED_CLASS}`);
+    if (folded) {
+      const runId = folded.getAttribute("data-pr-sorter-run");
+      const summary = safeQuery(
+        `${SELECTORS.EXTENSION_ROW}[data-pr-sorter-run="${runId}"]`,
+        folded.parentNode
+      );
+      if (summary) toggleBotRun(summary);
+    }
+  }
+
+  // ============================================
+  // SEARCH AND NAVIGATION
+  // ============================================
+
+  /**
+   * Update the "3 / 17" match counter
+   */
+  function updateMatchCount() {
+    const countEl = document.getElementById("pr-sorter-search-count");
+    if (!countEl) return;
+
+    const matches = getMatches();
+    if (!_query || _query.length < MIN_QUERY_LENGTH) {
+      countEl.textContent = "";
+    } else if (matches.length === 0) {
+      countEl.textContent = "No matches";
+    } else {
+      const index = matches.indexOf(_currentMatch);
+      countEl.textContent = `${index + 1} / ${matches.length}`;
+    }
+  }
+
+  /**
+   * Move to a match by index, revealing and scrolling to it
+   * @param {number} index - Index into the current matches (wraps around)
+   */
+  function goToMatch(index) {
+    const matches = getMatches();
+    if (matches.length === 0) return;
+
+    const wrapped = ((index % matches.length) + matches.length) % matches.length;
+    if (_currentMatch) _currentMatch.classList.remove(CURRENT_MATCH_CLASS);
+    _currentMatch = matches[wrapped];
+    _currentMatch.classList.add(CURRENT_MATCH_CLASS);
+
+    revealMatch(_currentMatch);
+    _currentMatch.scrollIntoView({ behavior: "smooth", block: "center" });
+    updateMatchCount();
+  }
+
+  /**
+   * Go to the next match, or the previous one when `backwards` is set
+   * @param {boolean} [backwards=false] - Navigate to the previous match
+   */
+  function navigateMatches(backwards = false) {
+    const matches = getMatches();
+    if (matches.length === 0) return;
+
+    const index = matches.indexOf(_currentMatch);
+    if (index === -1) {
+      goToMatch(backwards ? matches.length - 1 : 0);
+    } else {
+      goToMatch(backwards ? index - 1 : index + 1);
+    }
+  }
+
+  /**
+   * Search the conversation and highlight all matches
+   * @param {string} query - Text to search for (case-insensitive)
+   * @returns {number} Number of matches
+   */
+  function searchConversation(query) {
+    clearHighlights();
+    _query = (query || "").trim();
+
+    const container = safeQuery(".js-discussion");
+    if (!container || _query.length < MIN_QUERY_LENGTH) {
+      updateMatchCount();
+      return 0;
+    }
+
+    const needle = _query.toLowerCase();
+    let total = 0;
+    for (const node of getSearchableTextNodes(container)) {
+      if (total >= MAX_MATCHES) break;
+      total += highlightTextNode(node, needle, MAX_MATCHES - total);
+    }
+
+    if (total > 0) {
+      goToMatch(0);
+    } else {
+      updateMatchCount();
+    }
+    return total;
+  }
+
+  /**
+   * Wire up the search box in the controls bar
+   * @param {HTMLElement} controls - The controls container element
+   */
+  function setupSearch(controls) {
+    const input = controls.querySelector("#pr-sorter-search-input");
+    if (!input) return;
+
+    input.addEventListener("input", () => {
+      clearTimeout(_searchTimer);
+      _searchTimer = setTimeout(
+        () => searchConversation(input.value),
+        TIMING.DEBOUNCE_DELAY
+      );
+    });
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        clearTimeout(_searchTimer);
+        if (input.value.trim() !== _query) {
+          searchConversation(input.value);
+        } else {
+          navigateMatches(e.shiftKey);
+        }
+      } else if (e.key === "Escape") {
+        input.value = "";
+        searchConversation("");
+      }
+    });
+
+    controls
+      .querySelector("#pr-sorter-search-prev")
+      ?.addEventListener("click", () => navigateMatches(true));
+    controls
+      .querySelector("#pr-sorter-search-next")
+      ?.addEventListener("click", () => navigateMatches(false));
+  }
+
+  // Export to global namespace
+  window.PRSorter.Search = {
+    searchConversation,
+    navigateMatches,
+    clearHighlights,
+    setupSearch,
+  };
+})();
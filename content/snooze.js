@@ -0,0 +1,325 @@
+/**
+ * PR Enhancer - Snooze Module
+ *
+ * @fileoverview Snoozes unresolved threads locally, leaving them out of the count until a set time or a new reply
+ * @module snooze
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, getPullRequestKey, safeQueryAll } = window.PRSorter.Core;
+  const { getThreadId } = window.PRSorter.Comments;
+
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+
+  /**
+   * Prefix of the chrome.storage.local keys holding a PR's snoozes,
+   * followed by "owner/repo/number"
+   * @constant {string}
+   */
+  const STORAGE_PREFIX = "snoozes:";
+
+  /**
+   * Attribute marking a snoozed thread (see SELECTORS.SNOOZED_THREAD)
+   * @constant {string}
+   */
+  const SNOOZED_ATTR = "data-pr-sorter-snoozed";
+
+  /**
+   * Snooze choices; every snooze also ends when someone replies
+   * @constant {Array<{label: string, duration: number|null}>}
+   */
+  const SNOOZE_OPTIONS = Object.freeze([
+    { label: "Until someone replies", duration: null },
+    { label: "For a day", duration: DAY },
+    { label: "For 3 days", duration: 3 * DAY },
+    { label: "For a week", duration: 7 * DAY },
+  ]);
+
+  /**
+   * How often expired snoozes are checked while the page is open
+   * @constant {number}
+   */
+  const REFRESH_INTERVAL = 60 * 1000;
+
+  // Snoozes of the current PR by thread ID: { until, replies, snoozedAt }
+  let _snoozes = {};
+  // Storage key the snoozes above were loaded from and are saved under, null
+  // until they have loaded
+  let _snoozesKey = null;
+  let _pending = null;
+  let _refreshTimer = null;
+
+  // Will be available after ui.js loads
+  let showNotification, updateUnresolvedButton;
+
+  // Initialize UI function references after ui.js loads
+  setTimeout(() => {
+    if (window.PRSorter.UI) {
+      showNotification = window.PRSorter.UI.showNotification;
+      updateUnresolvedButton = window.PRSorter.UI.updateUnresolvedButton;
+    }
+  }, 0);
+
+  // ============================================
+  // STORAGE
+  // ============================================
+
+  /**
+   * Get the storage key of the current PR's snoozes
+   * @returns {string|null} The key, or null outside a PR
+   */
+  function getStorageKey() {
+    const prKey = getPullRequestKey();
+    return prKey ? `${STORAGE_PREFIX}${prKey}` : null;
+  }
+
+  /**
+   * Load the current PR's snoozes, replacing those of the PR open before
+   * @returns {Promise<Object>} Snoozes by thread ID
+   */
+  function loadSnoozes() {
+    const key = getStorageKey();
+    _snoozes = {};
+    _snoozesKey = null;
+    if (!key || !chrome?.storage?.local) return Promise.resolve(_snoozes);
+
+    _pending = chrome.storage.local
+      .get([key])
+      .then((result) => {
+        // Another PR was opened while loading
+        if (key !== getStorageKey()) return _snoozes;
+
+        const stored = result[key];
+        _snoozes = stored && typeof stored === "object" ? stored : {};
+        _snoozesKey = key;
+        return _snoozes;
+      })
+      .catch(() => _snoozes)
+      .finally(() => {
+        _pending = null;
+      });
+    return _pending;
+  }
+
+  /**
+   * Save the snoozes under the PR they were loaded for, dropping the key
+   * once none are left
+   */
+  function saveSnoozes() {
+    const key = _snoozesKey;
+    if (!key || !chrome?.storage?.local) return;
+
+    const request =
+      Object.keys(_snoozes).length > 0
+        ? chrome.storage.local.set({ [key]: _snoozes })
+        : chrome.storage.local.remove(key);
+    request.catch(() => {
+      // Silently fail if storage is unavailable
+    });
+  }
+
+  // ============================================
+  // SNOOZING
+  // ============================================
+
+  /**
+   * Count the comments of a thread, to notice new replies
+   * @param {Element} thread - Review thread
+   * @returns {number} Number of comments
+   */
+  function countReplies(thread) {
+    return thread.querySelectorAll(SELECTORS.REVIEW_COMMENT).length;
+  }
+
+  /**
+   * Check whether a snooze is over: its time passed, someone replied, or
+   * the thread was resolved
+   * @param {Object} snooze - Stored snooze
+   * @param {Element} thread - Review thread
+   * @param {number} now - Current time
+   * @returns {boolean} True if the thread should wake up
+   */
+  function isSnoozeOver(snooze, thread, now) {
+    return (
+      (snooze.until !== null && snooze.until <= now) ||
+      countReplies(thread) > snooze.replies ||
+      thread.getAttribute("data-resolved") === "true"
+    );
+  }
+
+  /**
+   * Mark snoozed threads on the page and wake those whose snooze is over
+   * Only touches the DOM when something changed. After navigating to
+   * another PR without a page load, its snoozes are loaded first and
+   * applied once they are in.
+   *
+   * @returns {boolean} True if a thread was snoozed or woke up on the page
+   */
+  function applySnoozes() {
+    if (getStorageKey() !== _snoozesKey) {
+      if (!_pending) {
+        loadSnoozes().then(() => {
+          if (getStorageKey() !== _snoozesKey) return;
+          applySnoozes();
+          if (updateUnresolvedButton) updateUnresolvedButton();
+        });
+      }
+      return false;
+    }
+
+    const now = Date.now();
+    let changed = false;
+    let expired = false;
+
+    safeQueryAll(SELECTORS.REVIEW_THREAD).forEach((thread) => {
+      const id = getThreadId(thread);
+      let snoozed = !!(id && _snoozes[id]);
+      if (snoozed && isSnoozeOver(_snoozes[id], thread, now)) {
+        delete _snoozes[id];
+        snoozed = false;
+        expired = true;
+      }
+
+      if (thread.hasAttribute(SNOOZED_ATTR) !== snoozed) {
+        thread.toggleAttribute(SNOOZED_ATTR, snoozed);
+        changed = true;
+      }
+    });
+
+    // Timed snoozes of threads not on the page expire too
+    Object.keys(_snoozes).forEach((id) => {
+      const { until } = _snoozes[id];
+      if (until !== null && until <= now) {
+        delete _snoozes[id];
+        expired = true;
+      }
+    });
+
+    if (expired) saveSnoozes();
+    return changed;
+  }
+
+  /**
+   * Snooze a thread until a time (or just until someone replies)
+   * @param {Element} thread - Review thread
+   * @param {number|null} duration - Snooze length in milliseconds, or null
+   *   to wait for a reply only
+   * @returns {boolean} True if snoozed; threads without a GitHub ID can't be
+   */
+  function snoozeThread(thread, duration) {
+    const id = getThreadId(thread);
+    if (!id) return false;
+
+    _snoozes[id] = {
+      until: duration === null ? null : Date.now() + duration,
+      replies: countReplies(thread),
+      snoozedAt: Date.now(),
+    };
+    saveSnoozes();
+    applySnoozes();
+    if (updateUnresolvedButton) updateUnresolvedButton();
+    if (showNotification) {
+      showNotification(`Snoozed ${getSnoozeLabel(thread)}`);
+    }
+    return true;
+  }
+
+  /**
+   * Wake a snoozed thread up
+   * @param {Element} thread - Review thread
+   */
+  function unsnoozeThread(thread) {
+    const id = getThreadId(thread);
+    if (!id || !_snoozes[id]) return;
+
+    delete _snoozes[id];
+    saveSnoozes();
+    applySnoozes();
+    if (updateUnresolvedButton) updateUnresolvedButton();
+    if (showNotification) showNotification("Thread unsnoozed");
+  }
+
+  /**
+   * Check whether a thread is snoozed
+   * @param {Element} thread - Review thread
+   * @returns {boolean} True if snoozed
+   */
+  function isSnoozed(thread) {
+    return thread.matches(SELECTORS.SNOOZED_THREAD);
+  }
+
+  /**
+   * Check whether the thread with an ID is snoozed, for threads known from
+   * the GitHub API but not loaded on the page
+   * @param {string} id - Thread ID (see getThreadId)
+   * @param {number} replies - Number of comments the thread has now
+   * @returns {boolean} True if snoozed and not due to wake up
+   */
+  function isSnoozedId(id, replies) {
+    const snooze = _snoozes[id];
+    return (
+      !!snooze &&
+      (snooze.until === null || snooze.until > Date.now()) &&
+      replies <= snooze.replies
+    );
+  }
+
+  /**
+   * Check whether a thread can be snoozed
+   * @param {Element} thread - Review thread
+   * @returns {boolean} True if the thread has a GitHub ID to store it under
+   */
+  function canSnooze(thread) {
+    return !!getThreadId(thread);
+  }
+
+  /**
+   * Describe when a snoozed thread wakes up
+   * @param {Element} thread - Review thread
+   * @returns {string} e.g. "until someone replies", "until Tue 3:00 PM or a reply"
+   */
+  function getSnoozeLabel(thread) {
+    const snooze = _snoozes[getThreadId(thread)];
+    if (!snooze || snooze.until === null) return "until someone replies";
+
+    const until = new Date(snooze.until).toLocaleString(undefined, {
+      weekday: "short",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+    return `until ${until} or a reply`;
+  }
+
+  /**
+   * Mark snoozed threads now and wake timed snoozes while the page is open
+   */
+  function setupSnoozes() {
+    applySnoozes();
+    if (!_refreshTimer) {
+      _refreshTimer = setInterval(() => {
+        if (applySnoozes() && updateUnresolvedButton) {
+          updateUnresolvedButton();
+        }
+      }, REFRESH_INTERVAL);
+    }
+  }
+
+  // Export to global namespace
+  window.PRSorter.Snooze = {
+    SNOOZE_OPTIONS,
+    loadSnoozes,
+    applySnoozes,
+    snoozeThread,
+    unsnoozeThread,
+    isSnoozed,
+    isSnoozedId,
+    canSnooze,
+    getSnoozeLabel,
+    setupSnoozes,
+  };
+})();
@@ -10,14 +10,58 @@ window.PRSorter = window.PRSorter || {};
 (function() {
   "use strict";
 
-  const { SORT_OPTIONS, state, savePreference, safeQuery } = window.PRSorter.Core;
-  const { isCommentResolved } = window.PRSorter.Comments;
+  const {
+    SORT_OPTIONS,
+    SELECTORS,
+    TIMING,
+    state,
+    savePreference,
+    safeQuery,
+    createOcticon,
+  } = window.PRSorter.Core;
+  const {
+    isCommentResolved,
+    getCommentAuthor,
+    getPRAuthor,
+    isBotAuthor,
+    getEngagementScore,
+    getLatestActivity,
+    getThreadFilePath,
+  } = window.PRSorter.Comments;
+  const { animateReorder } = window.PRSorter.Animation;
 
-  // Will be available after ui.js loads
-  let updateSortIndicator, showNotification;
+  /**
+   * Class name of the per-author section headers inserted by the author sort
+   * @constant {string}
+   */
+  const AUTHOR_HEADER_CLASS = "pr-sorter-author-header";
 
-  // Initialize UI function references after ui.js loads
+  /**
+   * Attribute holding an item's position in GitHub's own timeline order
+   * @constant {string}
+   */
+  const ORIGINAL_INDEX_ATTR = "data-pr-sorter-original-index";
+
+  /**
+   * Class briefly applied to comments that arrived while the page was open
+   * @constant {string}
+   */
+  const NEW_ITEM_CLASS = "pr-sorter-new";
+
+  // Next position handed out to items appended after the first visit
+  let _nextOriginalIndex = 0;
+
+  // Will be available after filters.js, bots.js and ui.js load
+  let updateSortIndicator, showNotification, applyFilter, collapseBotNoise;
+
+  // Initialize filter, bot and UI function references after they load
   setTimeout(() => {
+    if (window.PRSorter.Filters) {
+      applyFilter = window.PRSorter.Filters.applyFilter;
+    }
+    if (window.PRSorter.Bots) {
+      collapseBotNoise = window.PRSorter.Bots.collapseBotNoise;
+    }
     if (window.PRSorter.UI) {
       updateSortIndicator = window.PRSorter.UI.updateSortIndicator;
       showNotification = window.PRSorter.UI.showNotification;
@@ -46,7 +90,410 @@ window.PRSorter = window.PRSorter || {};
     });
   }
 
-  function applySorting(sortOption) {
+  /**
+   * Get the timestamp of the first time element in a timeline item
+   * @param {Element} el - Timeline item
+   * @returns {Date} The item date (epoch if it has none)
+   */
+  function getItemDate(el) {
+    const time = el.querySelector("relative-time, time");
+    return time ? new Date(time.getAttribute("datetime") || 0) : new Date(0);
+  }
+
+  // ============================================
+  // ORIGINAL ORDER
+  // ============================================
+
+  /**
+   * Get an item's recorded position in GitHub's original order
+   * @param {Element} el - Timeline item
+   * @returns {number|null} The position, or null if it was never recorded
+   */
+  function getOriginalIndex(el) {
+    const value = parseFloat(el.getAttribute(ORIGINAL_INDEX_ATTR));
+    return Number.isNaN(value) ? null : value;
+  }
+
+  /**
+   * Check whether a node is a GitHub timeline item without a recorded position
+   * @param {Node} node - Node to check
+   * @returns {boolean} True if the node still needs a position
+   */
+  function isUnrecordedItem(node) {
+    return (
+      node.nodeType === Node.ELEMENT_NODE &&
+      !node.matches(SELECTORS.EXTENSION_ROW) &&
+      !node.hasAttribute(ORIGINAL_INDEX_ATTR)
+    );
+  }
+
+  /**
+   * Record the position of every timeline item not seen before
+   * Called on the untouched page first, so positions match GitHub's order;
+   * items found later without a position are appended at the end.
+   *
+   * @param {Element} container - The discussion container
+   */
+  function recordOriginalOrder(container) {
+    Array.from(container.children)
+      .filter(isUnrecordedItem)
+      .forEach((el) => {
+        el.setAttribute(ORIGINAL_INDEX_ATTR, String(_nextOriginalIndex++));
+      });
+  }
+
+  /**
+   * Find the recorded position of the nearest sibling in one direction,
+   * skipping extension rows and unrecorded items
+   * @param {Element|null} sibling - Sibling to start from
+   * @param {string} direction - "previousElementSibling" or "nextElementSibling"
+   * @returns {number|null} The position, or null if there is none
+   */
+  function findNeighbourIndex(sibling, direction) {
+    for (let el = sibling; el; el = el[direction]) {
+      const index = getOriginalIndex(el);
+      if (index !== null) return index;
+    }
+    return null;
+  }
+
+  /**
+   * Give items streamed into the timeline a position in the original order
+   * Items replacing a recorded element (e.g. a "Load more" placeholder) are
+   * spread between its position and the next one. Items inserted while the
+   * timeline is in GitHub's order are placed between their neighbours. Any
+   * other new item (e.g. a freshly posted comment) goes at the end.
+   *
+   * @param {MutationRecord[]} records - childList records of the container
+   * @returns {{added: Element[], appended: Element[]}} All new items, and
+   *   those appended at the end of the original order (new activity)
+   */
+  function recordInsertedItems(records) {
+    const result = { added: [], appended: [] };
+
+    records.forEach((record) => {
+      const added = Array.from(record.addedNodes).filter(
+        (node) => node.parentNode === record.target && isUnrecordedItem(node)
+      );
+      if (added.length === 0) return;
+      result.added.push(...added);
+
+      const replaced = Array.from(record.removedNodes)
+        .filter((node) => node.nodeType === Node.ELEMENT_NODE)
+        .map(getOriginalIndex)
+        .filter((index) => index !== null);
+
+      let start = null;
+      let end = null;
+      if (replaced.length > 0) {
+        start = Math.min(...replaced);
+        const later = Array.from(record.target.children)
+          .map(getOriginalIndex)
+          .filter((index) => index !== null && index > start);
+        end = later.length > 0 ? Math.min(...later) : start + 1;
+      } else if (state.currentSort === SORT_OPTIONS.GITHUB_DEFAULT) {
+        end = findNeighbourIndex(
+          added[added.length - 1].nextElementSibling,
+          "nextElementSibling"
+        );
+        if (end !== null) {
+          start = findNeighbourIndex(
+            added[0].previousElementSibling,
+            "previousElementSibling"
+          );
+          if (start === null) start = end - 1;
+        }
+      }
+
+      if (start === null) {
+        // Appended: positions after everything recorded so far
+        added.forEach((el) => {
+          el.setAttribute(ORIGINAL_INDEX_ATTR, String(_nextOriginalIndex++));
+        });
+        result.appended.push(...added);
+        return;
+      }
+
+      const step = (end - start) / (added.length + 1);
+      added.forEach((el, i) => {
+        el.setAttribute(ORIGINAL_INDEX_ATTR, String(start + step * (i + 1)));
+      });
+    });
+
+    return result;
+  }
+
+  // ============================================
+  // SORT PIPELINE
+  // ============================================
+
+  /**
+   * Sort keys that pipelines are composed of
+   * Each key extracts a comparable value from a timeline item; null values
+   * always sort last. Keep ids in sync with SORT_KEYS in popup/popup.js.
+   * @constant {Object.<string, {label: string, value: function(Element): *}>}
+   */
+  const SORT_KEYS = Object.freeze({
+    date: {
+      label: "Date",
+      value: (el) => getItemDate(el).getTime(),
+    },
+    activity: {
+      label: "Latest activity",
+      value: (el) => (getLatestActivity(el) || getItemDate(el)).getTime(),
+    },
+    resolved: {
+      // Unresolved threads get the lower value, so ascending puts them first
+      label: "Resolution",
+      value: (el) => (isCommentResolved(el) ? 1 : 0),
+    },
+    path: {
+      label: "File path",
+      value: (el) => {
+        const path = getThreadFilePath(el);
+        return path ? path.toLowerCase() : null;
+      },
+    },
+    author: {
+      label: "Author",
+      value: (el) => {
+        const author = getCommentAuthor(el);
+        return author ? author.toLowerCase() : null;
+      },
+    },
+    reactions: {
+      label: "Reactions",
+      value: (el) => getEngagementScore(el),
+    },
+    original: {
+      label: "GitHub order",
+      value: (el) => getOriginalIndex(el),
+    },
+  });
+
+  /**
+   * Pipelines backing the built-in sort options
+   * @constant {Object.<string, Array<{key: string, direction: string}>>}
+   */
+  const BUILT_IN_PIPELINES = Object.freeze({
+    [SORT_OPTIONS.DATE_OLDEST]: [{ key: "date", direction: "asc" }],
+    [SORT_OPTIONS.DATE_NEWEST]: [{ key: "date", direction: "desc" }],
+    [SORT_OPTIONS.RESOLVED_LAST]: [
+      { key: "resolved", direction: "asc" },
+      { key: "date", direction: "asc" },
+    ],
+    [SORT_OPTIONS.UNRESOLVED_LAST]: [
+      { key: "resolved", direction: "desc" },
+      { key: "date", direction: "asc" },
+    ],
+    [SORT_OPTIONS.REACTIONS]: [
+      { key: "reactions", direction: "desc" },
+      { key: "date", direction: "asc" },
+    ],
+    [SORT_OPTIONS.RECENT_ACTIVITY]: [
+      { key: "activity", direction: "desc" },
+      { key: "date", direction: "desc" },
+    ],
+    [SORT_OPTIONS.GITHUB_DEFAULT]: [{ key: "original", direction: "asc" }],
+  });
+
+  /**
+   * Get the pipeline for a built-in or custom sort option
+   * @param {string} sortOption - Sort option
+   * @returns {Array<{key: string, direction: string}>} The sort pipeline
+   */
+  function getSortPipeline(sortOption) {
+    if (BUILT_IN_PIPELINES[sortOption]) return BUILT_IN_PIPELINES[sortOption];
+
+    const custom = state.customSorts.find((sort) => sort.id === sortOption);
+    const steps = custom
+      ? custom.keys.filter((step) => SORT_KEYS[step.key])
+      : [];
+    return steps.length > 0
+      ? steps
+      : BUILT_IN_PIPELINES[SORT_OPTIONS.DATE_OLDEST];
+  }
+
+  /**
+   * Compare two key values, keeping nulls last in either direction
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @param {string} direction - "asc" or "desc"
+   * @returns {number} Comparison result
+   */
+  function compareValues(a, b, direction) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+
+    const result =
+      typeof a === "string" && typeof b === "string"
+        ? a.localeCompare(b, undefined, { numeric: true })
+        : a < b
+        ? -1
+        : a > b
+        ? 1
+        : 0;
+    return direction === "desc" ? -result : result;
+  }
+
+  /**
+   * Compute an element's key values for a pipeline
+   * @param {Element} element - Timeline item
+   * @param {Array<{key: string, direction: string}>} pipeline - Sort pipeline
+   * @returns {{element: Element, values: Array<*>}} The decorated element
+   */
+  function decorate(element, pipeline) {
+    return {
+      element,
+      values: pipeline.map((step) => SORT_KEYS[step.key].value(element)),
+    };
+  }
+
+  /**
+   * Compare two decorated elements key by key
+   * @param {Object} a - First decorated element
+   * @param {Object} b - Second decorated element
+   * @param {Array<{key: string, direction: string}>} pipeline - Sort pipeline
+   * @returns {number} Comparison result (0 if all keys are equal)
+   */
+  function compareDecorated(a, b, pipeline) {
+    for (let i = 0; i < pipeline.length; i++) {
+      const result = compareValues(
+        a.values[i],
+        b.values[i],
+        pipeline[i].direction
+      );
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+
+  /**
+   * Sort elements by a pipeline of keys
+   * Key values are computed once per element before sorting
+   *
+   * @param {Element[]} elements - Elements to sort
+   * @param {Array<{key: string, direction: string}>} pipeline - Sort pipeline
+   * @returns {Element[]} A new array in sorted order
+   */
+  function sortByPipeline(elements, pipeline) {
+    const decorated = elements.map((element, index) => ({
+      ...decorate(element, pipeline),
+      index,
+    }));
+
+    decorated.sort(
+      (a, b) => compareDecorated(a, b, pipeline) || a.index - b.index
+    );
+
+    return decorated.map((entry) => entry.element);
+  }
+
+  // ============================================
+  // AUTHOR GROUPING
+  // ============================================
+
+  /**
+   * Remove rows the extension inserted into the timeline (author headers,
+   * bot summaries) so only GitHub's own items get sorted
+   * @param {Element} container - The discussion container
+   */
+  function removeInsertedRows(container) {
+    container
+      .querySelectorAll(`:scope > ${SELECTORS.EXTENSION_ROW}`)
+      .forEach((row) => row.remove());
+  }
+
+  /**
+   * Create a section header for one author group
+   * @param {Object} group - Author group ({ author, isBot, isPRAuthor, items })
+   * @returns {HTMLElement} The header element
+   */
+  function createAuthorHeader(group) {
+    const header = document.createElement("div");
+    header.className = AUTHOR_HEADER_CLASS;
+    header.setAttribute("data-extension", "pr-comment-sorter");
+    header.setAttribute("role", "heading");
+    header.setAttribute("aria-level", "3");
+    header.innerHTML = `
+      ${createOcticon("people", 14)}
+      <span class="pr-sorter-author-name"></span>
+      ${
+        group.isPRAuthor
+          ? '<span class="pr-sorter-author-badge">Author</span>'
+          : group.isBot
+          ? '<span class="pr-sorter-author-badge">Bot</span>'
+          : ""
+      }
+      <span class="pr-sorter-author-count">${group.items.length}</span>
+    `;
+    header.querySelector(".pr-sorter-author-name").textContent = group.author
+      ? `@${group.author}`
+      : "Other activity";
+    return header;
+  }
+
+  /**
+   * Group timeline items by author, each group preceded by a section header
+   * The PR author comes first, then other people alphabetically, then bots,
+   * then items without an author. Items keep chronological order in a group.
+   *
+   * @param {Element[]} children - Timeline items to group
+   * @returns {Element[]} Headers and items in their new order
+   */
+  function groupByAuthor(children) {
+    const prAuthor = getPRAuthor();
+    const groups = new Map();
+
+    children.forEach((el) => {
+      const author = getCommentAuthor(el);
+      const key = author || "";
+      if (!groups.has(key)) {
+        groups.set(key, {
+          author,
+          isBot: false,
+          isPRAuthor: !!author && author === prAuthor,
+          items: [],
+        });
+      }
+      const group = groups.get(key);
+      group.isBot = group.isBot || isBotAuthor(author, el);
+      group.items.push(el);
+    });
+
+    const rank = (group) => {
+      if (!group.author) return 3;
+      if (group.isPRAuthor) return 0;
+      return group.isBot ? 2 : 1;
+    };
+
+    const ordered = Array.from(groups.values()).sort(
+      (a, b) =>
+        rank(a) - rank(b) ||
+        (a.author || "").localeCompare(b.author || "", undefined, {
+          sensitivity: "base",
+        })
+    );
+
+    const result = [];
+    ordered.forEach((group) => {
+      const items = sortByPipeline(
+        group.items,
+        BUILT_IN_PIPELINES[SORT_OPTIONS.DATE_OLDEST]
+      );
+      result.push(createAuthorHeader(group), ...items);
+    });
+    return result;
+  }
+
+  /**
+   * Sort the timeline, then re-fold bot runs and re-apply the filter
+   * @param {string} sortOption - Built-in or custom sort option
+   * @param {Object} [options]
+   * @param {boolean} [options.silent=false] - Skip the notification
+   */
+  function applySorting(sortOption, { silent = false } = {}) {
     state.currentSort = sortOption;
     savePreference(sortOption);
 
@@ -56,45 +503,163 @@ window.PRSorter = window.PRSorter || {};
       return;
     }
 
+    removeInsertedRows(container);
+    recordOriginalOrder(container);
     const children = Array.from(container.children);
     if (children.length === 0) return;
 
-    const sortedChildren = children.sort((a, b) => {
-      const timeA = a.querySelector("relative-time, time");
-      const timeB = b.querySelector("relative-time, time");
-      const dateA = timeA ? new Date(timeA.getAttribute("datetime") || 0) : new Date(0);
-      const dateB = timeB ? new Date(timeB.getAttribute("datetime") || 0) : new Date(0);
-
-      switch (sortOption) {
-        case SORT_OPTIONS.DATE_NEWEST:
-          return dateB - dateA;
-        case SORT_OPTIONS.DATE_OLDEST:
-          return dateA - dateB;
-        case SORT_OPTIONS.RESOLVED_LAST:
-          const resolvedA = isCommentResolved(a);
-          const resolvedB = isCommentResolved(b);
-          if (resolvedA !== resolvedB) return resolvedA ? 1 : -1;
-          return dateA - dateB;
-        case SORT_OPTIONS.UNRESOLVED_LAST:
-          const unresolvedA = !isCommentResolved(a);
-          const unresolvedB = !isCommentResolved(b);
-          if (unresolvedA !== unresolvedB) return unresolvedA ? -1 : 1;
-          return dateA - dateB;
-        default:
-          return dateA - dateB;
-      }
-    });
+    const sortedChildren =
+      sortOption === SORT_OPTIONS.AUTHOR
+        ? groupByAuthor(children)
+        : sortByPipeline(children, getSortPipeline(sortOption));
 
-    reorderElements(sortedChildren, container);
+    animateReorder(container, () => {
+      reorderElements(sortedChildren, container);
+
+      // Fold bot runs in their new positions, then re-apply the active filter
+      // so inserted rows match the visible items
+      if (collapseBotNoise) collapseBotNoise();
+      if (applyFilter) applyFilter(state.currentFilter, { silent: true });
+    });
 
     if (updateSortIndicator) updateSortIndicator(sortOption);
-    if (showNotification) {
+    if (!silent && showNotification) {
       showNotification(`Comments sorted: ${getSortLabel(sortOption)}`);
     }
   }
 
+  // ============================================
+  // INCREMENTAL PLACEMENT
+  // ============================================
+
+  /**
+   * Get the node to insert before so an item lands just above `el`,
+   * keeping inserted rows (bot summaries, author headers) attached to it
+   * @param {Element} el - Item the new item should precede
+   * @returns {Element} The node to insert before
+   */
+  function getInsertionPoint(el) {
+    let point = el;
+    while (
+      point.previousElementSibling &&
+      point.previousElementSibling.matches(SELECTORS.EXTENSION_ROW)
+    ) {
+      point = point.previousElementSibling;
+    }
+    return point;
+  }
+
+  /**
+   * Insert a new item into its author's group, by date among the group's
+   * items, and update the count in the group header
+   * @param {Element} container - The discussion container
+   * @param {Element} item - New timeline item
+   * @returns {boolean} False if the author has no group yet
+   */
+  function placeInAuthorGroup(container, item) {
+    const author = getCommentAuthor(item) || "";
+    const group = Array.from(container.children).filter(
+      (el) =>
+        el !== item &&
+        !el.matches(SELECTORS.EXTENSION_ROW) &&
+        (getCommentAuthor(el) || "") === author
+    );
+    if (group.length === 0) return false;
+
+    const pipeline = BUILT_IN_PIPELINES[SORT_OPTIONS.DATE_OLDEST];
+    const entry = decorate(item, pipeline);
+    const next = group.find(
+      (el) => compareDecorated(entry, decorate(el, pipeline), pipeline) < 0
+    );
+    container.insertBefore(
+      item,
+      next
+        ? getInsertionPoint(next)
+        : group[group.length - 1].nextElementSibling
+    );
+
+    let header = group[0].previousElementSibling;
+    while (header && !header.classList.contains(AUTHOR_HEADER_CLASS)) {
+      header = header.previousElementSibling;
+    }
+    const count = header && header.querySelector(".pr-sorter-author-count");
+    if (count) count.textContent = String(group.length + 1);
+    return true;
+  }
+
+  /**
+   * Move newly arrived items to their place in the active sort, without
+   * reordering the rest of the timeline
+   * In the author sort, an item whose author has no group yet regroups the
+   * timeline in place, without animating or saving the sort again.
+   *
+   * @param {Element[]} items - New timeline items
+   * @param {Object} [options]
+   * @param {Element[]} [options.flagged=[]] - Items to briefly mark as new
+   */
+  function placeNewItems(items, { flagged = [] } = {}) {
+    const container = safeQuery(".js-discussion");
+    const newItems = items.filter((el) => el.parentNode === container);
+    if (!container || newItems.length === 0) return;
+
+    if (state.currentSort === SORT_OPTIONS.AUTHOR) {
+      const ungrouped = newItems.filter(
+        (item) => !placeInAuthorGroup(container, item)
+      );
+      if (ungrouped.length > 0) {
+        removeInsertedRows(container);
+        const children = Array.from(container.children);
+        reorderElements(groupByAuthor(children), container);
+      }
+
+      if (collapseBotNoise) collapseBotNoise();
+      if (applyFilter) applyFilter(state.currentFilter, { silent: true });
+    } else {
+      const pipeline = getSortPipeline(state.currentSort);
+      const pending = new Set(newItems);
+      // The rest of the timeline is already in sort order
+      const placed = Array.from(container.children)
+        .filter(
+          (el) => !el.matches(SELECTORS.EXTENSION_ROW) && !pending.has(el)
+        )
+        .map((el) => decorate(el, pipeline));
+
+      animateReorder(container, () => {
+        newItems.forEach((item) => {
+          // Insert before the first item that sorts after the new one
+          const entry = decorate(item, pipeline);
+          let index = placed.findIndex(
+            (other) => compareDecorated(entry, other, pipeline) < 0
+          );
+          if (index === -1) index = placed.length;
+
+          const next = placed[index];
+          container.insertBefore(
+            item,
+            next ? getInsertionPoint(next.element) : null
+          );
+          placed.splice(index, 0, entry);
+        });
+
+        if (collapseBotNoise) collapseBotNoise();
+        if (applyFilter) applyFilter(state.currentFilter, { silent: true });
+      });
+    }
+
+    flagged.forEach((el) => {
+      el.classList.add(NEW_ITEM_CLASS);
+      setTimeout(
+        () => el.classList.remove(NEW_ITEM_CLASS),
+        TIMING.NEW_ITEM_DURATION
+      );
+    });
+  }
+
   function toggleSort() {
-    const options = Object.values(SORT_OPTIONS);
+    const options = [
+      ...Object.values(SORT_OPTIONS),
+      ...state.customSorts.map((sort) => sort.id),
+    ];
     const currentIndex = options.indexOf(state.currentSort);
     const nextIndex = (currentIndex + 1) % options.length;
     applySorting(options[nextIndex]);
@@ -104,14 +669,28 @@ window.PRSorter = window.PRSorter || {};
     const labels = {
       [SORT_OPTIONS.DATE_OLDEST]: "Oldest first",
       [SORT_OPTIONS.DATE_NEWEST]: "Newest first",
+      [SORT_OPTIONS.RESOLVED_LAST]: "Resolved last",
+      [SORT_OPTIONS.UNRESOLVED_LAST]: "Unresolved last",
+      [SORT_OPTIONS.AUTHOR]: "By author",
+      [SORT_OPTIONS.REACTIONS]: "Most reacted",
+      [SORT_OPTIONS.RECENT_ACTIVITY]: "Recently active",
+      [SORT_OPTIONS.GITHUB_DEFAULT]: "GitHub default",
     };
-    return labels[sortOption] || sortOption;
+    const custom = state.customSorts.find((sort) => sort.id === sortOption);
+    return labels[sortOption] || (custom && custom.name) || sortOption;
   }
 
   // Export to global namespace
   window.PRSorter.Sorting = {
+    AUTHOR_HEADER_CLASS,
+    SORT_KEYS,
     sortComments,
     reorderElements,
+    getSortPipeline,
+    sortByPipeline,
+    recordOriginalOrder,
+    recordInsertedItems,
+    placeNewItems,
     applySorting,
     toggleSort,
     getSortLabel,
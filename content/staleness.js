@@ -0,0 +1,168 @@
+/**
+ * PR Enhancer - Staleness Module
+ *
+ * @fileoverview Age badges and fresh / aging / stale highlighting for unresolved review threads
+ * @module staleness
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, STALENESS, state, safeQueryAll } = window.PRSorter.Core;
+  const { getThreadLastReply } = window.PRSorter.Comments;
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+
+  /**
+   * Units used for compact ages ("5h", "3d", "2w"), largest first
+   * @constant {Array<{suffix: string, ms: number}>}
+   */
+  const AGE_UNITS = Object.freeze([
+    { suffix: "y", ms: 365 * DAY },
+    { suffix: "mo", ms: 30 * DAY },
+    { suffix: "w", ms: 7 * DAY },
+    { suffix: "d", ms: DAY },
+    { suffix: "h", ms: HOUR },
+    { suffix: "m", ms: MINUTE },
+  ]);
+
+  /**
+   * How often page badges are refreshed so ages keep up with the clock
+   * @constant {number}
+   */
+  const REFRESH_INTERVAL = 60 * 1000;
+
+  /**
+   * Attribute holding a thread's staleness, used for highlighting
+   * @constant {string}
+   */
+  const STALENESS_ATTR = "data-pr-sorter-staleness";
+
+  let _refreshTimer = null;
+
+  // ============================================
+  // AGE COMPUTATION
+  // ============================================
+
+  /**
+   * Format a duration as a compact age
+   * @param {number} ms - Age in milliseconds
+   * @returns {string} e.g. "now", "45m", "5h", "3d", "2w", "4mo"
+   */
+  function formatAge(ms) {
+    const unit = AGE_UNITS.find((candidate) => ms >= candidate.ms);
+    return unit ? `${Math.floor(ms / unit.ms)}${unit.suffix}` : "now";
+  }
+
+  /**
+   * Classify a last reply date against the configured thresholds
+   * @param {Date|null} lastReply - Date of the thread's last reply
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {string|null} A STALENESS value, or null without a date
+   */
+  function getStaleness(lastReply, now = Date.now()) {
+    if (!lastReply) return null;
+
+    const days = (now - lastReply.getTime()) / DAY;
+    const { aging, stale } = state.stalenessThresholds;
+    if (days >= stale) return STALENESS.STALE;
+    if (days >= aging) return STALENESS.AGING;
+    return STALENESS.FRESH;
+  }
+
+  // ============================================
+  // BADGES
+  // ============================================
+
+  /**
+   * Fill an age badge for a last reply date
+   * Only touches the DOM when something changed, so refreshing badges
+   * doesn't wake up the page mutation observer.
+   * @param {HTMLElement} badge - Badge element
+   * @param {Date} lastReply - Date of the thread's last reply
+   * @param {number} now - Current time
+   */
+  function fillAgeBadge(badge, lastReply, now) {
+    const age = formatAge(Math.max(0, now - lastReply.getTime()));
+    const className = `pr-sorter-age-badge pr-sorter-age-badge--${getStaleness(lastReply, now)}`;
+    const title = `Last reply ${lastReply.toLocaleString()}`;
+
+    if (badge.textContent !== age) badge.textContent = age;
+    if (badge.className !== className) badge.className = className;
+    if (badge.title !== title) badge.title = title;
+  }
+
+  /**
+   * Create an age badge ("3d") colored by staleness
+   * @param {Date} lastReply - Date of the thread's last reply
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {HTMLSpanElement} The badge
+   */
+  function createAgeBadge(lastReply, now = Date.now()) {
+    const badge = document.createElement("span");
+    badge.setAttribute("data-extension", "pr-comment-sorter");
+    fillAgeBadge(badge, lastReply, now);
+    return badge;
+  }
+
+  /**
+   * Add or refresh the age badge in the header of every unresolved thread,
+   * and drop badges and highlighting from threads that were resolved
+   */
+  function updateAgeBadges() {
+    const now = Date.now();
+
+    safeQueryAll(`summary > .pr-sorter-age-badge, [${STALENESS_ATTR}]`).forEach(
+      (el) => {
+        const thread = el.closest("details");
+        if (thread && thread.getAttribute("data-resolved") === "false") return;
+        if (el.matches(".pr-sorter-age-badge")) {
+          el.remove();
+        } else {
+          el.removeAttribute(STALENESS_ATTR);
+        }
+      }
+    );
+
+    safeQueryAll(SELECTORS.UNRESOLVED_THREAD).forEach((thread) => {
+      const summary = thread.querySelector(":scope > summary");
+      const lastReply = getThreadLastReply(thread);
+      if (!summary || !lastReply) return;
+
+      const staleness = getStaleness(lastReply, now);
+      if (thread.getAttribute(STALENESS_ATTR) !== staleness) {
+        thread.setAttribute(STALENESS_ATTR, staleness);
+      }
+
+      const badge = summary.querySelector(":scope > .pr-sorter-age-badge");
+      if (badge) {
+        fillAgeBadge(badge, lastReply, now);
+      } else {
+        summary.appendChild(createAgeBadge(lastReply, now));
+      }
+    });
+  }
+
+  /**
+   * Render age badges now and keep them current while the page is open
+   */
+  function setupAgeBadges() {
+    updateAgeBadges();
+    if (!_refreshTimer) {
+      _refreshTimer = setInterval(updateAgeBadges, REFRESH_INTERVAL);
+    }
+  }
+
+  // Export to global namespace
+  window.PRSorter.Staleness = {
+    formatAge,
+    getStaleness,
+    createAgeBadge,
+    updateAgeBadges,
+    setupAgeBadges,
+  };
+})();
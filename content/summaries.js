@@ -0,0 +1,191 @@
+/**
+ * PR Enhancer - Summaries Module
+ *
+ * @fileoverview Caches a summary of each enhanced PR for the popup's dashboard of recent PRs
+ * @module summaries
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const { SELECTORS, getPullRequestKey, safeQuery } = window.PRSorter.Core;
+  const { getLatestActivity } = window.PRSorter.Comments;
+
+  /**
+   * Prefix of the chrome.storage.local keys holding PR summaries, followed
+   * by "owner/repo/number" (read by popup/popup.js)
+   * @constant {string}
+   */
+  const STORAGE_PREFIX = "summary:";
+
+  /**
+   * Summaries of PRs not visited for this long are dropped, in milliseconds
+   * @constant {number}
+   */
+  const SUMMARY_TTL = 90 * 24 * 60 * 60 * 1000;
+
+  // Summary last saved for this page, to skip writes when nothing changed
+  let _saved = null;
+  // When this page view started, kept as the PR's visit time
+  let _visitedAt = null;
+
+  // Will be available after ui.js loads
+  let countUnresolvedThreads;
+
+  // Initialize UI function references after ui.js loads
+  setTimeout(() => {
+    if (window.PRSorter.UI) {
+      countUnresolvedThreads = window.PRSorter.UI.countUnresolvedThreads;
+    }
+  }, 0);
+
+  /**
+   * Get the storage key of the current PR's summary
+   * @returns {string|null} The key, or null outside a PR
+   */
+  function getStorageKey() {
+    const prKey = getPullRequestKey();
+    return prKey ? `${STORAGE_PREFIX}${prKey}` : null;
+  }
+
+  /**
+   * Get the PR title from the header, falling back to the page title
+   * @returns {string} The title
+   */
+  function getPullRequestTitle() {
+    const titleEl = safeQuery(SELECTORS.PR_TITLE);
+    const title = titleEl
+      ? titleEl.textContent.trim().replace(/\s+/g, " ")
+      : "";
+    // Page titles read "Title by author · Pull Request #12 · owner/repo"
+    return title || document.title.split(" · ")[0].replace(/ by \S+$/, "");
+  }
+
+  /**
+   * Get the PR state from the header label
+   * @returns {string|null} "open", "draft", "merged" or "closed", or null
+   *   when the label isn't on the page
+   */
+  function getPullRequestState() {
+    const stateEl = safeQuery(SELECTORS.PR_STATE);
+    const state = stateEl ? stateEl.textContent.trim().toLowerCase() : "";
+    return ["open", "draft", "merged", "closed"].includes(state) ? state : null;
+  }
+
+  /**
+   * Build the current PR's summary from the page
+   * Threads are counted like on the unresolved button: snoozed ones left
+   * out, and with GitHub API data, those not loaded on the page included.
+   *
+   * @returns {Object|null} { key, url, repo, number, title, state,
+   *   unresolved, waitingOnMe, lastActivity, visitedAt }, or null outside a
+   *   PR or before the UI loaded; waitingOnMe is null when signed out
+   */
+  function getPullRequestSummary() {
+    const key = getPullRequestKey();
+    if (!key || !countUnresolvedThreads) return null;
+
+    const [owner, repo, number] = key.split("/");
+    const { count, onMe } = countUnresolvedThreads();
+    const lastActivity = getLatestActivity(
+      safeQuery(SELECTORS.DISCUSSION_BUCKET) || document.body
+    );
+
+    return {
+      key,
+      url: `https://github.com/${key.replace(/\/(\d+)$/, "/pull/$1")}`,
+      repo: `${owner}/${repo}`,
+      number: Number(number),
+      title: getPullRequestTitle(),
+      state: getPullRequestState(),
+      unresolved: count,
+      waitingOnMe: onMe,
+      lastActivity: lastActivity ? lastActivity.getTime() : null,
+      visitedAt: _visitedAt,
+    };
+  }
+
+  /**
+   * Save the current PR's summary when it changed since the last save
+   * Tabs without the timeline (e.g. Files changed) keep the last known
+   * activity time and state.
+   */
+  function updateSummary() {
+    const key = getStorageKey();
+    if (!key || !chrome?.storage?.local) return;
+
+    const summary = getPullRequestSummary();
+    if (!summary) return;
+    if (!_visitedAt) _visitedAt = Date.now();
+    summary.visitedAt = _visitedAt;
+    if (_saved) {
+      if ((_saved.lastActivity || 0) > (summary.lastActivity || 0)) {
+        summary.lastActivity = _saved.lastActivity;
+      }
+      if (!summary.state) summary.state = _saved.state;
+    }
+    if (_saved && JSON.stringify(_saved) === JSON.stringify(summary)) return;
+
+    _saved = summary;
+    chrome.storage.local.set({ [key]: summary }).catch(() => {
+      // Silently fail if storage is unavailable
+    });
+  }
+
+  /**
+   * Drop summaries of PRs that weren't visited for a long time
+   */
+  function pruneSummaries() {
+    if (!chrome?.storage?.local) return;
+
+    chrome.storage.local
+      .get(null)
+      .then((all) => {
+        const cutoff = Date.now() - SUMMARY_TTL;
+        const expired = Object.keys(all).filter(
+          (key) =>
+            key.startsWith(STORAGE_PREFIX) &&
+            !(all[key] && all[key].visitedAt >= cutoff)
+        );
+        if (expired.length > 0) return chrome.storage.local.remove(expired);
+      })
+      .catch(() => {
+        // Keep old summaries if storage is unavailable
+      });
+  }
+
+  /**
+   * Load the summary saved on a previous visit, so activity seen then isn't
+   * lost on tabs without the timeline, then save this visit's summary
+   * @returns {Promise<void>}
+   */
+  function setupSummaryTracking() {
+    const key = getStorageKey();
+    if (!key || !chrome?.storage?.local) return Promise.resolve();
+
+    return chrome.storage.local
+      .get([key])
+      .then((result) => {
+        const previous = result[key];
+        if (previous && typeof previous === "object") {
+          _saved = { ...previous, visitedAt: null };
+        }
+      })
+      .catch(() => {
+        // Start from the page alone
+      })
+      .then(() => {
+        updateSummary();
+        pruneSummaries();
+      });
+  }
+
+  // Export to global namespace
+  window.PRSorter.Summaries = {
+    getPullRequestSummary,
+    updateSummary,
+    setupSummaryTracking,
+  };
+})();
@@ -10,9 +10,18 @@ window.PRSorter = window.PRSorter || {};
 (function() {
   "use strict";
 
-  const { SORT_OPTIONS, OCTICONS, state, createOcticon, safeQuery, safeQueryAll } = window.PRSorter.Core;
-  const { getUnresolvedConversations } = window.PRSorter.Comments;
-  const { applySorting, getSortLabel } = window.PRSorter.Sorting;
+  const { SORT_OPTIONS, FILTER_OPTIONS, HIDEABLE_EVENT_TYPES, WAITING_ON, SELECTORS, OCTICONS, state, createOcticon, safeQuery, safeQueryAll } = window.PRSorter.Core;
+  const { getUnresolvedConversations, getCurrentUser, getWaitingOn, getThreadWaitingOn, getResolveButton, isThreadOutdated } = window.PRSorter.Comments;
+  const { getApiThreads, getApiThreadsIn } = window.PRSorter.Api;
+  const { SORT_KEYS, applySorting, getSortLabel } = window.PRSorter.Sorting;
+  const { EVENT_TYPE_LABELS, applyFilter, getFilterLabel, setEventTypeHidden, getOutdatedThreads, setOutdatedHidden, expandOutdatedThreads } = window.PRSorter.Filters;
+  const { setupSearch } = window.PRSorter.Search;
+  const { createAgeBadge } = window.PRSorter.Staleness;
+  const { updateNewSummary } = window.PRSorter.Visits;
+  const { getNotes, jumpToNote } = window.PRSorter.Notes;
+  const { SNOOZE_OPTIONS, snoozeThread, unsnoozeThread, isSnoozed, isSnoozedId, canSnooze, getSnoozeLabel } = window.PRSorter.Snooze;
+  const { resolveConversations, isResolving } = window.PRSorter.Resolver;
+  const { navigateUnresolved, revealThread } = window.PRSorter.Navigation;
 
   // ==================================================================
 function isConversationTab() {
@@ -200,12 +209,53 @@ function isSSOLoginRequired() {
   return false;
 }
 
+/**
+ * Toolbar variants: the full toolbar on the Conversation tab, and a compact
+ * one with the unresolved counter and thread navigation on Files changed
+ * @constant {Object.<string, string>}
+ */
+const CONTROLS_VARIANTS = Object.freeze({
+  CONVERSATION: "conversation",
+  FILES: "files",
+});
+
+/**
+ * Check if we're on the Files changed tab, where review threads sit inline
+ * in the diff
+ * @returns {boolean} True on the Files changed tab
+ */
+function isFilesTab() {
+  if (/\/pull\/\d+\/(files|changes)\b/.test(window.location.pathname)) {
+    return true;
+  }
+
+  const filesContainer = safeQuery("#files_bucket, #files");
+  return (
+    !!filesContainer &&
+    filesContainer.offsetParent !== null &&
+    filesContainer.offsetHeight > 0 &&
+    filesContainer.offsetWidth > 0
+  );
+}
+
+/**
+ * Get the toolbar variant for the current tab
+ * @returns {string|null} A CONTROLS_VARIANTS value, or null if no controls
+ *   should show (other tabs, or SSO login required)
+ */
+function getControlsVariant() {
+  if (isSSOLoginRequired()) return null;
+  if (isConversationTab()) return CONTROLS_VARIANTS.CONVERSATION;
+  if (isFilesTab()) return CONTROLS_VARIANTS.FILES;
+  return null;
+}
+
 /**
  * Check if controls should be visible
  * @returns {boolean} True if controls should be visible
  */
 function shouldShowControls() {
-  return isConversationTab() && !isSSOLoginRequired();
+  return getControlsVariant() !== null;
 }
 
 // ============================================
@@ -214,12 +264,23 @@ function shouldShowControls() {
 
 /**
  * Update the visibility of controls based on current tab and SSO status
+ * Swaps the toolbar for the other variant when switching between the
+ * Conversation and Files changed tabs without a page load.
  */
 function updateControlsVisibility() {
   const controls = safeQuery(".pr-comment-sorter-controls");
   if (!controls) return;
 
-  if (shouldShowControls()) {
+  const variant = getControlsVariant();
+  if (variant && variant !== controls.dataset.variant) {
+    closeUnresolvedList();
+    controls.remove();
+    state.sortControlsInjected = false;
+    injectSortControls();
+    return;
+  }
+
+  if (variant) {
     controls.style.display = "";
   } else {
     controls.style.display = "none";
@@ -241,8 +302,14 @@ function injectSortControls() {
     return;
   }
 
-  // Only inject on Conversation tab and when not SSO login required
-  if (!shouldShowControls()) {
+  // Only inject on Conversation and Files changed tabs, and when not SSO login required
+  const variant = getControlsVariant();
+  if (!variant) {
+    return;
+  }
+
+  if (variant === CONTROLS_VARIANTS.FILES) {
+    injectFilesControls();
     return;
   }
 
@@ -267,52 +334,13 @@ function injectSortControls() {
     return;
   }
 
-  const controls = document.createElement("div");
-  controls.className = "pr-comment-sorter-controls";
-  controls.setAttribute("data-extension", "pr-comment-sorter");
-  controls.setAttribute("role", "region");
-  controls.setAttribute("aria-label", "PR Enhancer Controls");
-
-  // Get initial unresolved count
-  const initialCount = safeQueryAll('details[data-resolved="false"]').length;
+  const controls = createControlsElement(CONTROLS_VARIANTS.CONVERSATION);
 
   controls.innerHTML = `
     <div class="pr-sorter-toolbar" role="toolbar" aria-label="Comment sorting and navigation" data-extension="pr-comment-sorter">
       <!-- Main toolbar row - unified controls -->
       <div class="pr-sorter-row" data-extension="pr-comment-sorter">
-        <!-- Unresolved Conversations Button with dropdown wrapper -->
-        <div class="pr-sorter-unresolved-wrapper" data-extension="pr-comment-sorter">
-          <button
-            type="button"
-            class="pr-sorter-btn ${
-              initialCount > 0
-                ? "pr-sorter-btn--has-unresolved"
-                : "pr-sorter-btn--all-resolved"
-            }"
-            id="pr-sorter-unresolved-btn"
-            aria-label="View unresolved conversations"
-            aria-haspopup="true"
-            aria-expanded="false"
-          >
-            ${
-              initialCount > 0
-                ? createOcticon("issueOpened", 14)
-                : createOcticon("checkCircle", 14)
-            }
-            <span class="pr-sorter-btn-text">${
-              initialCount > 0 ? `${initialCount} Unresolved` : "All Resolved"
-            }</span>
-            ${
-              initialCount > 0
-                ? `<span class="pr-sorter-dropdown-arrow">${createOcticon(
-                    "chevronDown",
-                    12
-                  )}</span>`
-                : ""
-            }
-          </button>
-          <!-- Dropdown will be inserted here -->
-        </div>
+        ${createUnresolvedButtonMarkup()}
 
         <!-- Divider -->
         <span class="pr-sorter-separator" aria-hidden="true"></span>
@@ -337,6 +365,135 @@ function injectSortControls() {
             ${createOcticon("clock", 14)}
             Oldest
           </button>
+          <button
+            type="button"
+            class="pr-sorter-btn"
+            data-sort="${SORT_OPTIONS.RECENT_ACTIVITY}"
+            aria-pressed="false"
+          >
+            ${createOcticon("pulse", 14)}
+            Active
+          </button>
+          <button
+            type="button"
+            class="pr-sorter-btn"
+            data-sort="${SORT_OPTIONS.AUTHOR}"
+            aria-pressed="false"
+          >
+            ${createOcticon("people", 14)}
+            Author
+          </button>
+          <button
+            type="button"
+            class="pr-sorter-btn"
+            data-sort="${SORT_OPTIONS.REACTIONS}"
+            aria-pressed="false"
+          >
+            ${createOcticon("smiley", 14)}
+            Reactions
+          </button>
+          <button
+            type="button"
+            class="pr-sorter-btn"
+            data-sort="${SORT_OPTIONS.GITHUB_DEFAULT}"
+            aria-pressed="false"
+            title="Restore GitHub's original order"
+          >
+            ${createOcticon("sync", 14)}
+            Default
+          </button>
+        </div>
+
+        <!-- Divider -->
+        <span class="pr-sorter-separator" aria-hidden="true"></span>
+
+        <!-- Filter section -->
+        <label class="pr-sorter-filter" data-extension="pr-comment-sorter">
+          ${createOcticon("filter", 14)}
+          <select
+            id="pr-sorter-filter-select"
+            class="pr-sorter-select"
+            aria-label="Filter comments"
+          >
+            ${Object.values(FILTER_OPTIONS)
+              .map(
+                (option) =>
+                  `<option value="${option}"${
+                    option === state.currentFilter ? " selected" : ""
+                  }>${getFilterLabel(option)}</option>`
+              )
+              .join("")}
+          </select>
+        </label>
+
+        <!-- Event types menu -->
+        <details class="pr-sorter-events" data-extension="pr-comment-sorter">
+          <summary class="pr-sorter-btn" aria-label="Show or hide timeline events">
+            ${createOcticon("gitCommit", 14)}
+            Events
+            <span class="pr-sorter-events-count"></span>
+            ${createOcticon("chevronDown", 12)}
+          </summary>
+          <div class="pr-sorter-events-menu" role="group" aria-label="Timeline events to show">
+            ${HIDEABLE_EVENT_TYPES.map(
+              (type) => `
+                <label class="pr-sorter-events-option">
+                  <input type="checkbox" value="${type}">
+                  ${EVENT_TYPE_LABELS[type]}
+                </label>
+              `
+            ).join("")}
+          </div>
+        </details>
+
+        <!-- Outdated threads menu -->
+        <details class="pr-sorter-outdated" data-extension="pr-comment-sorter">
+          <summary class="pr-sorter-btn" aria-label="Show, hide or expand outdated threads">
+            ${createOcticon("history", 14)}
+            Outdated
+            <span class="pr-sorter-events-count"></span>
+            ${createOcticon("chevronDown", 12)}
+          </summary>
+          <div class="pr-sorter-events-menu" role="group" aria-label="Outdated threads">
+            <label class="pr-sorter-events-option">
+              <input type="checkbox" class="pr-sorter-outdated-toggle">
+              Show outdated threads
+            </label>
+            <button type="button" class="pr-sorter-events-option pr-sorter-outdated-expand">
+              Expand all outdated
+            </button>
+          </div>
+        </details>
+
+        <!-- Search section -->
+        <div class="pr-sorter-search" role="search" data-extension="pr-comment-sorter">
+          ${createOcticon("search", 14)}
+          <input
+            type="search"
+            id="pr-sorter-search-input"
+            class="pr-sorter-search-input"
+            placeholder="Search conversation"
+            aria-label="Search comments, authors and files"
+            autocomplete="off"
+            spellcheck="false"
+          >
+          <span class="pr-sorter-search-count" id="pr-sorter-search-count" aria-live="polite"></span>
+          <button
+            type="button"
+            class="pr-sorter-btn pr-sorter-icon-btn"
+            id="pr-sorter-search-prev"
+            aria-label="Previous match (Shift+Enter)"
+          >
+            ${createOcticon("chevronUp", 14)}
+          </button>
+          <button
+            type="button"
+            class="pr-sorter-btn pr-sorter-icon-btn"
+            id="pr-sorter-search-next"
+            aria-label="Next match (Enter)"
+          >
+            ${createOcticon("chevronDown", 14)}
+          </button>
         </div>
       </div>
     </div>
@@ -346,6 +503,152 @@ function injectSortControls() {
   state.sortControlsInjected = true;
 
   setupEventListeners(controls);
+  renderCustomSortButtons();
+  updateEventMenu();
+  updateUnresolvedButton();
+  updateOutdatedMenu();
+  updateNewSummary();
+}
+
+/**
+ * Create the empty controls container for a toolbar variant
+ * @param {string} variant - A CONTROLS_VARIANTS value
+ * @returns {HTMLElement} The container
+ */
+function createControlsElement(variant) {
+  const controls = document.createElement("div");
+  controls.className = "pr-comment-sorter-controls";
+  controls.dataset.variant = variant;
+  controls.setAttribute("data-extension", "pr-comment-sorter");
+  controls.setAttribute("role", "region");
+  controls.setAttribute("aria-label", "PR Enhancer Controls");
+  return controls;
+}
+
+/**
+ * Build the unresolved conversations button and its dropdown wrapper
+ * @returns {string} HTML markup
+ */
+function createUnresolvedButtonMarkup() {
+  // Get initial unresolved count
+  const initialCount = safeQueryAll(SELECTORS.UNRESOLVED_THREAD).filter(
+    (thread) => !isSnoozed(thread)
+  ).length;
+
+  return `
+    <!-- Unresolved Conversations Button with dropdown wrapper -->
+    <div class="pr-sorter-unresolved-wrapper" data-extension="pr-comment-sorter">
+      <button
+        type="button"
+        class="pr-sorter-btn ${
+          initialCount > 0
+            ? "pr-sorter-btn--has-unresolved"
+            : "pr-sorter-btn--all-resolved"
+        }"
+        id="pr-sorter-unresolved-btn"
+        aria-label="View unresolved conversations"
+        aria-haspopup="true"
+        aria-expanded="false"
+      >
+        ${
+          initialCount > 0
+            ? createOcticon("issueOpened", 14)
+            : createOcticon("checkCircle", 14)
+        }
+        <span class="pr-sorter-btn-text">${
+          initialCount > 0 ? `${initialCount} Unresolved` : "All Resolved"
+        }</span>
+        ${
+          initialCount > 0
+            ? `<span class="pr-sorter-dropdown-arrow">${createOcticon(
+                "chevronDown",
+                12
+              )}</span>`
+            : ""
+        }
+      </button>
+      <!-- Dropdown will be inserted here -->
+    </div>
+  `;
+}
+
+/**
+ * Inject the compact Files changed toolbar: unresolved counter with its
+ * dropdown, and previous / next thread buttons
+ */
+function injectFilesControls() {
+  const targetLocation = safeQuery(
+    '#files, .js-diff-progressive-container, [data-target="diff-layout.mainContainer"]'
+  );
+  if (!targetLocation) {
+    setTimeout(injectSortControls, 1000);
+    return;
+  }
+
+  const controls = createControlsElement(CONTROLS_VARIANTS.FILES);
+  controls.innerHTML = `
+    <div class="pr-sorter-toolbar" role="toolbar" aria-label="Unresolved conversations" data-extension="pr-comment-sorter">
+      <div class="pr-sorter-row" data-extension="pr-comment-sorter">
+        ${createUnresolvedButtonMarkup()}
+        <button
+          type="button"
+          class="pr-sorter-btn pr-sorter-icon-btn"
+          data-navigate="previous"
+          aria-label="Previous unresolved conversation ([u)"
+        >
+          ${createOcticon("chevronUp", 14)}
+        </button>
+        <button
+          type="button"
+          class="pr-sorter-btn pr-sorter-icon-btn"
+          data-navigate="next"
+          aria-label="Next unresolved conversation (]u)"
+        >
+          ${createOcticon("chevronDown", 14)}
+        </button>
+      </div>
+    </div>
+  `;
+
+  targetLocation.parentNode.insertBefore(controls, targetLocation);
+  state.sortControlsInjected = true;
+
+  setupEventListeners(controls);
+  updateUnresolvedButton();
+}
+
+/**
+ * Render buttons for saved custom sorts next to the built-in sort buttons
+ */
+function renderCustomSortButtons() {
+  const group = safeQuery(".pr-comment-sorter-controls .pr-sorter-controls");
+  if (!group) return;
+
+  safeQueryAll(".pr-sorter-btn[data-custom-sort]", group).forEach((btn) =>
+    btn.remove()
+  );
+
+  state.customSorts.forEach((sort) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "pr-sorter-btn";
+    btn.dataset.sort = sort.id;
+    btn.dataset.customSort = "true";
+    btn.setAttribute("aria-pressed", "false");
+    btn.title = sort.keys
+      .filter((step) => SORT_KEYS[step.key])
+      .map(
+        (step) =>
+          `${SORT_KEYS[step.key].label} ${step.direction === "desc" ? "↓" : "↑"}`
+      )
+      .join(", then ");
+    btn.innerHTML = createOcticon("sortDesc", 14);
+    btn.appendChild(document.createTextNode(sort.name));
+    btn.addEventListener("click", () => applySorting(sort.id));
+    group.appendChild(btn);
+  });
+
+  updateSortIndicator(state.currentSort);
 }
 
 // ============================================
@@ -359,6 +662,7 @@ function injectSortControls() {
 function setupEventListeners(controls) {
   const unresolvedBtn = controls.querySelector("#pr-sorter-unresolved-btn");
   const sortBtns = controls.querySelectorAll(".pr-sorter-btn[data-sort]");
+  const filterSelect = controls.querySelector("#pr-sorter-filter-select");
 
   // Unresolved button
   if (unresolvedBtn) {
@@ -382,6 +686,51 @@ function setupEventListeners(controls) {
     });
   });
 
+  // Filter select
+  if (filterSelect) {
+    filterSelect.addEventListener("change", () => {
+      applyFilter(filterSelect.value);
+    });
+  }
+
+  // Event types menu
+  const eventsMenu = controls.querySelector(".pr-sorter-events");
+  if (eventsMenu) {
+    eventsMenu.addEventListener("change", (e) => {
+      if (e.target.matches("input[type='checkbox']")) {
+        setEventTypeHidden(e.target.value, !e.target.checked);
+      }
+    });
+    setupMenuDismissal(eventsMenu);
+  }
+
+  // Outdated threads menu
+  const outdatedMenu = controls.querySelector(".pr-sorter-outdated");
+  if (outdatedMenu) {
+    outdatedMenu
+      .querySelector(".pr-sorter-outdated-toggle")
+      .addEventListener("change", (e) => {
+        setOutdatedHidden(!e.target.checked);
+      });
+    outdatedMenu
+      .querySelector(".pr-sorter-outdated-expand")
+      .addEventListener("click", () => {
+        outdatedMenu.open = false;
+        expandOutdatedThreads();
+      });
+    setupMenuDismissal(outdatedMenu);
+  }
+
+  // Previous / next unresolved thread (Files changed toolbar)
+  controls.querySelectorAll(".pr-sorter-btn[data-navigate]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      navigateUnresolved(btn.dataset.navigate === "previous");
+    });
+  });
+
+  // Search box
+  setupSearch(controls);
+
   // Keyboard support
   controls.querySelectorAll(".pr-sorter-btn").forEach((btn) => {
     btn.addEventListener("keydown", (e) => {
@@ -393,6 +742,44 @@ function setupEventListeners(controls) {
   });
 }
 
+/**
+ * Selector of the <details> menus in the toolbar, closed on outside clicks
+ * @constant {string}
+ */
+const TOOLBAR_MENUS = ".pr-comment-sorter-controls details[open]";
+
+// Whether the document listener closing toolbar menus was added; it is
+// shared so re-injected toolbars don't each add one
+let menuDismissalBound = false;
+
+/**
+ * Close the open toolbar menus a click landed outside of
+ * @param {MouseEvent} e - Click event
+ */
+function closeMenusOnOutsideClick(e) {
+  document.querySelectorAll(TOOLBAR_MENUS).forEach((menu) => {
+    if (!menu.contains(e.target)) menu.open = false;
+  });
+}
+
+/**
+ * Close a <details> menu on Escape (returning focus to its summary) and on
+ * clicks outside it
+ * @param {HTMLDetailsElement} menu - The menu
+ */
+function setupMenuDismissal(menu) {
+  menu.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && menu.open) {
+      menu.open = false;
+      menu.querySelector("summary").focus();
+    }
+  });
+  if (!menuDismissalBound) {
+    document.addEventListener("click", closeMenusOnOutsideClick);
+    menuDismissalBound = true;
+  }
+}
+
 // ============================================
 // SORT INDICATOR
 // ============================================
@@ -410,10 +797,95 @@ function updateSortIndicator(sortOption) {
   });
 }
 
+/**
+ * Update the filter select to reflect the active filter
+ * @param {string} filterOption - The active filter option
+ */
+function updateFilterIndicator(filterOption) {
+  const select = document.getElementById("pr-sorter-filter-select");
+  if (select && select.value !== filterOption) {
+    select.value = filterOption;
+  }
+}
+
+/**
+ * Update the event types menu checkboxes and hidden count from state
+ */
+function updateEventMenu() {
+  const menu = safeQuery(".pr-comment-sorter-controls .pr-sorter-events");
+  if (!menu) return;
+
+  menu.querySelectorAll("input[type='checkbox']").forEach((input) => {
+    input.checked = !state.hiddenEventTypes.includes(input.value);
+  });
+
+  const count = menu.querySelector(".pr-sorter-events-count");
+  if (count) {
+    const hidden = state.hiddenEventTypes.length;
+    count.textContent = hidden > 0 ? `${hidden} hidden` : "";
+  }
+}
+
+/**
+ * Update the outdated threads menu checkbox and count from state and page
+ */
+function updateOutdatedMenu() {
+  const menu = safeQuery(".pr-comment-sorter-controls .pr-sorter-outdated");
+  if (!menu) return;
+
+  const toggle = menu.querySelector(".pr-sorter-outdated-toggle");
+  if (toggle.checked === state.hideOutdated) {
+    toggle.checked = !state.hideOutdated;
+  }
+
+  const outdated = getOutdatedThreads().length;
+  const count = menu.querySelector(".pr-sorter-events-count");
+  const text =
+    outdated === 0
+      ? ""
+      : state.hideOutdated
+        ? `${outdated} hidden`
+        : String(outdated);
+  if (count.textContent !== text) count.textContent = text;
+  menu.querySelector(".pr-sorter-outdated-expand").disabled = outdated === 0;
+}
+
 // ============================================
 // UNRESOLVED CONVERSATIONS UI
 // ============================================
 
+/**
+ * Files collapsed in the unresolved dropdown, kept while the page is open
+ * @type {Set<string>}
+ */
+const collapsedFiles = new Set();
+
+/**
+ * Selected tab of the unresolved dropdown ("all", a WAITING_ON value or
+ * NOTES_TAB)
+ * @type {string}
+ */
+let waitingTab = "all";
+
+/**
+ * Private notes listed in the "Notes" tab of the open dropdown
+ * @type {Object[]}
+ */
+let listedNotes = [];
+
+/**
+ * Whether the unresolved dropdown lists the stalest threads first instead
+ * of grouping them by file
+ * @type {boolean}
+ */
+let stalestFirst = false;
+
+/**
+ * Threads checked in the unresolved dropdown, cleared when it opens
+ * @type {Set<Element>}
+ */
+const selectedThreads = new Set();
+
 /**
  * Create and show the unresolved conversations list UI - SIMPLE VERSION
  */
@@ -429,31 +901,52 @@ function showUnresolvedConversations() {
   }
 
   const conversations = getUnresolvedConversations();
-  if (conversations.length === 0) {
-    showNotification("All conversations resolved!", "success");
+  const { unloaded } = countUnresolvedThreads();
+  listedNotes = getNotes();
+  if (conversations.length === 0 && listedNotes.length === 0) {
+    if (unloaded > 0) {
+      showNotification(getUnloadedText(unloaded), "error");
+    } else {
+      showNotification("All conversations resolved!", "success");
+    }
     return;
   }
 
-  // Create simple dropdown following Primer design
-  let html = `<div class="pr-sorter-unresolved-list" data-extension="pr-comment-sorter">`;
+  // Create dropdown following Primer design, grouped by file
+  const dropdown = document.createElement("div");
+  dropdown.className = "pr-sorter-unresolved-list";
+  dropdown.setAttribute("data-extension", "pr-comment-sorter");
 
-  conversations.forEach((conv, i) => {
-    html += `
-      <div class="pr-sorter-item" data-index="${i}" data-extension="pr-comment-sorter">
-        <div class="pr-sorter-item-username">@${conv.username}</div>
-        <div class="pr-sorter-item-snippet">${conv.snippet || "(no preview)"}</div>
-      </div>
-    `;
-  });
+  const groupsEl = document.createElement("div");
+  groupsEl.className = "pr-sorter-file-groups";
 
-  html += `</div>`;
+  const toolbar = document.createElement("div");
+  toolbar.className = "pr-sorter-unresolved-toolbar";
+  if (conversations.length === 0) {
+    waitingTab = NOTES_TAB;
+  } else if (!getCurrentUser() && waitingTab !== NOTES_TAB) {
+    waitingTab = "all";
+  }
+  toolbar.appendChild(createWaitingTabs(conversations, groupsEl));
+  toolbar.appendChild(createOrderToggle(conversations, groupsEl));
+  dropdown.appendChild(toolbar);
+
+  selectedThreads.clear();
+  renderFileGroups(groupsEl, conversations);
+  dropdown.appendChild(groupsEl);
+  if (unloaded > 0) {
+    const unloadedNote = document.createElement("div");
+    unloadedNote.className = "pr-sorter-unloaded-note";
+    unloadedNote.textContent = getUnloadedText(unloaded);
+    dropdown.appendChild(unloadedNote);
+  }
+  dropdown.appendChild(createBulkBar(conversations, groupsEl));
+  updateBulkBar(groupsEl);
 
   // Append to body to escape stacking context, then position relative to button
-  document.body.insertAdjacentHTML("beforeend", html);
+  document.body.appendChild(dropdown);
   btn?.setAttribute("aria-expanded", "true");
 
-  const dropdown = document.querySelector(".pr-sorter-unresolved-list");
-
   // Position dropdown relative to button
   if (dropdown && btn) {
     const btnRect = btn.getBoundingClientRect();
@@ -462,20 +955,29 @@ function showUnresolvedConversations() {
     dropdown.style.left = `${btnRect.left}px`;
   }
 
-  // Add event listeners for each item
-  dropdown.querySelectorAll(".pr-sorter-item").forEach((item, i) => {
-    item.addEventListener("click", () => {
-      closeUnresolvedList();
-      const conv = conversations[i];
-      conv.element.scrollIntoView({ behavior: "smooth", block: "center" });
-      conv.element.classList.add("pr-sorter-highlight");
-      setTimeout(
-        () => conv.element.classList.remove("pr-sorter-highlight"),
-        2000
-      );
-    });
+  // Items are re-rendered when switching tabs, so listen on the container
+  groupsEl.addEventListener("click", (e) => {
+    const item = e.target.closest(".pr-sorter-item");
+    if (
+      !item ||
+      e.target.closest(".pr-sorter-item-check, .pr-sorter-item-actions")
+    ) {
+      return;
+    }
 
-    // Hover effect handled by CSS
+    closeUnresolvedList();
+    if (item.dataset.noteId) {
+      jumpToNote(item.dataset.noteId);
+      return;
+    }
+    const conv = conversations[Number(item.dataset.index)];
+    revealThread(conv.element);
+    conv.element.scrollIntoView({ behavior: "smooth", block: "center" });
+    conv.element.classList.add("pr-sorter-highlight");
+    setTimeout(
+      () => conv.element.classList.remove("pr-sorter-highlight"),
+      2000
+    );
   });
 
   // Click outside to close
@@ -486,6 +988,586 @@ function showUnresolvedConversations() {
   window.addEventListener("scroll", handleScroll, { once: true });
 }
 
+/**
+ * Describe unresolved threads the GitHub API knows of but the page hasn't
+ * loaded
+ * @param {number} unloaded - Number of such threads
+ * @returns {string} e.g. "2 more unresolved threads aren't loaded on this
+ *   page"
+ */
+function getUnloadedText(unloaded) {
+  return unloaded === 1
+    ? "1 more unresolved thread isn't loaded on this page"
+    : `${unloaded} more unresolved threads aren't loaded on this page`;
+}
+
+/**
+ * Key of the dropdown tab listing private notes
+ * @constant {string}
+ */
+const NOTES_TAB = "notes";
+
+/**
+ * Labels of the dropdown tabs, by WAITING_ON value
+ * @constant {Object.<string, string>}
+ */
+const WAITING_TAB_LABELS = Object.freeze({
+  all: "All",
+  [WAITING_ON.ME]: "Waiting on me",
+  [WAITING_ON.OTHERS]: "Waiting on others",
+  [NOTES_TAB]: "Notes",
+});
+
+/**
+ * Create the "All / Waiting on me / Waiting on others / Notes" tabs; the
+ * waiting tabs need a signed-in user
+ * @param {Object[]} conversations - Unresolved conversations
+ * @param {HTMLElement} groupsEl - Container re-rendered on tab change
+ * @returns {HTMLElement} The tab list
+ */
+function createWaitingTabs(conversations, groupsEl) {
+  const tabs = document.createElement("div");
+  tabs.className = "pr-sorter-waiting-tabs";
+  tabs.setAttribute("role", "tablist");
+  tabs.setAttribute("aria-label", "Filter unresolved conversations");
+
+  const keys = getCurrentUser()
+    ? Object.keys(WAITING_TAB_LABELS)
+    : ["all", NOTES_TAB];
+  keys.forEach((key) => {
+    const tab = document.createElement("button");
+    tab.type = "button";
+    tab.className = "pr-sorter-waiting-tab";
+    tab.dataset.waiting = key;
+    tab.setAttribute("role", "tab");
+    tab.setAttribute("aria-selected", key === waitingTab ? "true" : "false");
+    tab.innerHTML = `${WAITING_TAB_LABELS[key]} <span class="pr-sorter-file-count">${getTabCount(key, conversations)}</span>`;
+    tab.addEventListener("click", () => {
+      waitingTab = key;
+      tabs.querySelectorAll(".pr-sorter-waiting-tab").forEach((other) => {
+        other.setAttribute(
+          "aria-selected",
+          other === tab ? "true" : "false"
+        );
+      });
+      renderFileGroups(groupsEl, conversations);
+    });
+    tabs.appendChild(tab);
+  });
+
+  return tabs;
+}
+
+/**
+ * Count what a dropdown tab lists; snoozed conversations aren't counted
+ * @param {string} key - Tab key
+ * @param {Object[]} conversations - Unresolved conversations
+ * @returns {number} The count
+ */
+function getTabCount(key, conversations) {
+  if (key === NOTES_TAB) return listedNotes.length;
+  return conversations.filter(
+    (conv) => !conv.snoozed && (key === "all" || conv.waitingOn === key)
+  ).length;
+}
+
+/**
+ * Refresh the tab counts after conversations were snoozed or woken up
+ * @param {HTMLElement} groupsEl - Container of the listed items
+ * @param {Object[]} conversations - Unresolved conversations
+ */
+function updateTabCounts(groupsEl, conversations) {
+  groupsEl.parentNode
+    ?.querySelectorAll(".pr-sorter-waiting-tab")
+    .forEach((tab) => {
+      tab.querySelector(".pr-sorter-file-count").textContent = String(
+        getTabCount(tab.dataset.waiting, conversations)
+      );
+    });
+}
+
+/**
+ * Create the toggle between grouping by file and listing stalest first
+ * @param {Object[]} conversations - Unresolved conversations
+ * @param {HTMLElement} groupsEl - Container re-rendered on toggle
+ * @returns {HTMLButtonElement} The toggle button
+ */
+function createOrderToggle(conversations, groupsEl) {
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "pr-sorter-order-toggle";
+  toggle.setAttribute("aria-pressed", stalestFirst ? "true" : "false");
+  toggle.title = "List the threads waiting longest for a reply first";
+  toggle.innerHTML = `${createOcticon("clock", 12)} Stalest first`;
+  toggle.addEventListener("click", () => {
+    stalestFirst = !stalestFirst;
+    toggle.setAttribute("aria-pressed", stalestFirst ? "true" : "false");
+    renderFileGroups(groupsEl, conversations);
+  });
+  return toggle;
+}
+
+/**
+ * Render the conversations of the selected tab, grouped by file or, with
+ * "stalest first", as one list from the oldest last reply to the newest;
+ * snoozed conversations are listed last in their own group
+ * @param {HTMLElement} groupsEl - Container to render into
+ * @param {Object[]} conversations - All unresolved conversations
+ */
+function renderFileGroups(groupsEl, conversations) {
+  groupsEl.innerHTML = "";
+  updateTabCounts(groupsEl, conversations);
+  if (waitingTab === NOTES_TAB) {
+    renderNoteItems(groupsEl);
+    return;
+  }
+
+  const inTab = (conv) => waitingTab === "all" || conv.waitingOn === waitingTab;
+  const shown = conversations.filter((conv) => !conv.snoozed && inTab(conv));
+  const snoozed = conversations.filter((conv) => conv.snoozed && inTab(conv));
+
+  if (shown.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "pr-sorter-item-snippet pr-sorter-waiting-empty";
+    empty.textContent = {
+      all: "No unresolved conversations",
+      [WAITING_ON.ME]: "Nothing is waiting on you",
+      [WAITING_ON.OTHERS]: "Nothing is waiting on others",
+    }[waitingTab];
+    groupsEl.appendChild(empty);
+  } else if (stalestFirst) {
+    const byLastReply = (a, b) =>
+      (a.lastReply ? a.lastReply.getTime() : Infinity) -
+      (b.lastReply ? b.lastReply.getTime() : Infinity);
+    [...shown].sort(byLastReply).forEach((conv) => {
+      groupsEl.appendChild(
+        createConversationItem(conv, conversations, { showPath: true })
+      );
+    });
+  } else {
+    // Outdated threads are the easiest to forget, so they get their own group
+    const outdated = shown.filter((conv) => conv.outdated);
+    groupConversationsByFile(
+      shown.filter((conv) => !conv.outdated)
+    ).forEach((group) => {
+      groupsEl.appendChild(createFileGroup(group, conversations));
+    });
+    if (outdated.length > 0) {
+      const group = {
+        key: OUTDATED_GROUP_KEY,
+        label: "Outdated",
+        conversations: groupConversationsByFile(outdated).flatMap(
+          (fileGroup) => fileGroup.conversations
+        ),
+      };
+      groupsEl.appendChild(
+        createFileGroup(group, conversations, { showPath: true })
+      );
+    }
+  }
+
+  if (snoozed.length > 0) {
+    const group = {
+      key: SNOOZED_GROUP_KEY,
+      label: "Snoozed",
+      conversations: groupConversationsByFile(snoozed).flatMap(
+        (fileGroup) => fileGroup.conversations
+      ),
+    };
+    groupsEl.appendChild(
+      createFileGroup(group, conversations, { showPath: true })
+    );
+  }
+
+  updateBulkBar(groupsEl);
+}
+
+/**
+ * Render the "Notes" tab: private notes, most recently edited first
+ * @param {HTMLElement} groupsEl - Container to render into
+ */
+function renderNoteItems(groupsEl) {
+  if (listedNotes.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "pr-sorter-item-snippet pr-sorter-waiting-empty";
+    empty.textContent =
+      "No notes yet. Use the note button on a thread or comment to add one.";
+    groupsEl.appendChild(empty);
+  } else {
+    listedNotes.forEach((note) => {
+      groupsEl.appendChild(createNoteItem(note));
+    });
+  }
+
+  updateBulkBar(groupsEl);
+}
+
+/**
+ * Create a dropdown item for a private note
+ * @param {Object} note - Note from getNotes
+ * @returns {HTMLElement} The item element
+ */
+function createNoteItem(note) {
+  const item = document.createElement("div");
+  item.className = "pr-sorter-item";
+  item.dataset.noteId = note.id;
+  item.setAttribute("data-extension", "pr-comment-sorter");
+  item.innerHTML = `
+    <span class="pr-sorter-item-icon" aria-hidden="true">${createOcticon("note", 14)}</span>
+    <div class="pr-sorter-item-meta">
+      ${note.username ? '<span class="pr-sorter-item-username"></span>' : ""}
+      ${note.path ? '<span class="pr-sorter-item-lines pr-sorter-item-path"></span>' : ""}
+      ${
+        note.lines
+          ? `<span class="pr-sorter-item-lines">${formatLineRange(note.lines)}</span>`
+          : ""
+      }
+      ${
+        note.element
+          ? ""
+          : '<span class="pr-sorter-item-lines">Not loaded on this page</span>'
+      }
+    </div>
+    <div class="pr-sorter-item-snippet pr-sorter-note-snippet"></div>
+  `;
+
+  const usernameEl = item.querySelector(".pr-sorter-item-username");
+  if (usernameEl) usernameEl.textContent = `@${note.username}`;
+  const pathEl = item.querySelector(".pr-sorter-item-path");
+  if (pathEl) {
+    pathEl.textContent = note.path.split("/").pop();
+    pathEl.title = note.path;
+  }
+  item.querySelector(".pr-sorter-note-snippet").textContent = note.text;
+  return item;
+}
+
+/**
+ * Key of the outdated group in collapsedFiles, which can't be a file path
+ * @constant {string}
+ */
+const OUTDATED_GROUP_KEY = ":outdated";
+
+/**
+ * Key of the snoozed group in collapsedFiles
+ * @constant {string}
+ */
+const SNOOZED_GROUP_KEY = ":snoozed";
+
+/**
+ * Create the bar with "Select all" and "Resolve selected"
+ * @param {Object[]} conversations - Unresolved conversations
+ * @param {HTMLElement} groupsEl - Container of the listed items
+ * @returns {HTMLElement} The bar
+ */
+function createBulkBar(conversations, groupsEl) {
+  const bar = document.createElement("div");
+  bar.className = "pr-sorter-bulk-bar";
+  bar.innerHTML = `
+    <label class="pr-sorter-bulk-select-all">
+      <input type="checkbox">
+      Select all
+    </label>
+    <button type="button" class="pr-sorter-btn pr-sorter-bulk-resolve" disabled>
+      ${createOcticon("checkCircle", 14)}
+      <span class="pr-sorter-btn-text">Resolve selected</span>
+    </button>
+  `;
+
+  bar.querySelector("input").addEventListener("change", (e) => {
+    groupsEl
+      .querySelectorAll(".pr-sorter-item-check:not(:disabled)")
+      .forEach((check) => {
+        const item = check.closest(".pr-sorter-item");
+        const conv = conversations[Number(item.dataset.index)];
+        check.checked = e.target.checked;
+        if (check.checked) {
+          selectedThreads.add(conv.element);
+        } else {
+          selectedThreads.delete(conv.element);
+        }
+      });
+    updateBulkBar(groupsEl);
+  });
+
+  bar.querySelector(".pr-sorter-bulk-resolve").addEventListener("click", () => {
+    const selected = conversations.filter((conv) =>
+      selectedThreads.has(conv.element)
+    );
+    closeUnresolvedList();
+    resolveConversations(selected);
+  });
+
+  return bar;
+}
+
+/**
+ * Sync the "Select all" checkbox and the resolve button with the selection
+ * @param {HTMLElement} groupsEl - Container of the listed items
+ */
+function updateBulkBar(groupsEl) {
+  const bar = groupsEl.parentNode?.querySelector(".pr-sorter-bulk-bar");
+  if (!bar) return;
+  // Notes can't be resolved
+  bar.hidden = waitingTab === NOTES_TAB;
+
+  const checks = Array.from(
+    groupsEl.querySelectorAll(".pr-sorter-item-check:not(:disabled)")
+  );
+  const checked = checks.filter((check) => check.checked).length;
+  const selectAll = bar.querySelector("input");
+  selectAll.disabled = checks.length === 0;
+  selectAll.checked = checks.length > 0 && checked === checks.length;
+  selectAll.indeterminate = checked > 0 && checked < checks.length;
+
+  const resolveBtn = bar.querySelector(".pr-sorter-bulk-resolve");
+  resolveBtn.disabled = selectedThreads.size === 0 || isResolving();
+  resolveBtn.querySelector(".pr-sorter-btn-text").textContent = isResolving()
+    ? "Resolving…"
+    : selectedThreads.size > 0
+      ? `Resolve selected (${selectedThreads.size})`
+      : "Resolve selected";
+}
+
+/**
+ * Group unresolved conversations by file, files in path order and
+ * conversations by line within a file; conversations without a file last
+ * @param {Object[]} conversations - Unresolved conversations
+ * @returns {Array<{path: string|null, conversations: Object[]}>} File groups
+ */
+function groupConversationsByFile(conversations) {
+  const groups = new Map();
+  conversations.forEach((conv) => {
+    if (!groups.has(conv.path)) {
+      groups.set(conv.path, { path: conv.path, conversations: [] });
+    }
+    groups.get(conv.path).conversations.push(conv);
+  });
+
+  const byLine = (a, b) =>
+    (a.lines ? a.lines.start : Infinity) - (b.lines ? b.lines.start : Infinity);
+
+  return Array.from(groups.values())
+    .sort((a, b) => {
+      if (a.path === null) return 1;
+      if (b.path === null) return -1;
+      return a.path.localeCompare(b.path, undefined, { numeric: true });
+    })
+    .map((group) => ({
+      ...group,
+      conversations: [...group.conversations].sort(byLine),
+    }));
+}
+
+/**
+ * Format a line range as "L12" or "L12–15"
+ * @param {{start: number, end: number}|null} lines - Line range
+ * @returns {string} The label, or an empty string without a range
+ */
+function formatLineRange(lines) {
+  if (!lines) return "";
+  return lines.start === lines.end
+    ? `L${lines.start}`
+    : `L${lines.start}–${lines.end}`;
+}
+
+/**
+ * Create a collapsible file group for the unresolved dropdown
+ * @param {Object} group - File group ({ path, conversations }), or a named
+ *   group ({ key, label, conversations }) spanning several files
+ * @param {Object[]} conversations - All conversations, for item indexes
+ * @param {Object} [options]
+ * @param {boolean} [options.showPath=false] - Show each item's file name
+ * @returns {HTMLElement} The group element
+ */
+function createFileGroup(group, conversations, { showPath = false } = {}) {
+  const key = group.key || group.path || "";
+  const expanded = !collapsedFiles.has(key);
+
+  const groupEl = document.createElement("div");
+  groupEl.className = group.label
+    ? "pr-sorter-file-group pr-sorter-file-group--named"
+    : "pr-sorter-file-group";
+  groupEl.innerHTML = `
+    <button type="button" class="pr-sorter-file-header" aria-expanded="${expanded}">
+      <span class="pr-sorter-file-chevron" aria-hidden="true">${createOcticon("chevronDown", 12)}</span>
+      <span class="pr-sorter-file-path"></span>
+      <span class="pr-sorter-file-count">${group.conversations.length}</span>
+    </button>
+    <div class="pr-sorter-file-items"${expanded ? "" : " hidden"}></div>
+  `;
+
+  const pathEl = groupEl.querySelector(".pr-sorter-file-path");
+  pathEl.textContent = group.label || group.path || "Other conversations";
+  if (group.path) pathEl.title = group.path;
+
+  const header = groupEl.querySelector(".pr-sorter-file-header");
+  const itemsEl = groupEl.querySelector(".pr-sorter-file-items");
+  header.addEventListener("click", () => {
+    const isExpanded = header.getAttribute("aria-expanded") === "true";
+    header.setAttribute("aria-expanded", isExpanded ? "false" : "true");
+    itemsEl.hidden = isExpanded;
+    if (isExpanded) {
+      collapsedFiles.add(key);
+    } else {
+      collapsedFiles.delete(key);
+    }
+  });
+
+  group.conversations.forEach((conv) => {
+    itemsEl.appendChild(
+      createConversationItem(conv, conversations, { showPath })
+    );
+  });
+
+  return groupEl;
+}
+
+/**
+ * Create a dropdown item for an unresolved conversation
+ * @param {Object} conv - Unresolved conversation
+ * @param {Object[]} conversations - All conversations, for item indexes
+ * @param {Object} [options]
+ * @param {boolean} [options.showPath=false] - Show the file name, for
+ *   items listed outside their file group
+ * @returns {HTMLElement} The item element
+ */
+function createConversationItem(conv, conversations, { showPath = false } = {}) {
+  const item = document.createElement("div");
+  item.className = "pr-sorter-item";
+  item.dataset.index = String(conversations.indexOf(conv));
+  item.setAttribute("data-extension", "pr-comment-sorter");
+  item.innerHTML = `
+    <input type="checkbox" class="pr-sorter-item-check">
+    <div class="pr-sorter-item-meta">
+      <span class="pr-sorter-item-username"></span>
+      ${showPath && conv.path ? '<span class="pr-sorter-item-lines pr-sorter-item-path"></span>' : ""}
+      ${
+        conv.lines
+          ? `<span class="pr-sorter-item-lines">${formatLineRange(conv.lines)}</span>`
+          : ""
+      }
+      ${
+        conv.outdated
+          ? '<span class="pr-sorter-item-outdated">Outdated</span>'
+          : ""
+      }
+    </div>
+    <div class="pr-sorter-item-snippet"></div>
+  `;
+  item
+    .querySelector(".pr-sorter-item-meta")
+    .appendChild(createSnoozeActions(conv, conversations));
+  item.querySelector(".pr-sorter-item-username").textContent = `@${conv.username}`;
+  item.querySelector(".pr-sorter-item-snippet").textContent =
+    conv.snippet || "(no preview)";
+
+  const check = item.querySelector(".pr-sorter-item-check");
+  check.setAttribute("aria-label", `Select conversation by @${conv.username}`);
+  if (getResolveButton(conv.element)) {
+    check.checked = selectedThreads.has(conv.element);
+    check.addEventListener("change", () => {
+      if (check.checked) {
+        selectedThreads.add(conv.element);
+      } else {
+        selectedThreads.delete(conv.element);
+      }
+      updateBulkBar(item.closest(".pr-sorter-file-groups"));
+    });
+  } else {
+    check.disabled = true;
+    check.title = "You can't resolve this conversation";
+  }
+
+  const pathEl = item.querySelector(".pr-sorter-item-path");
+  if (pathEl) {
+    pathEl.textContent = conv.path.split("/").pop();
+    pathEl.title = conv.path;
+  }
+  if (conv.lastReply) {
+    item
+      .querySelector(".pr-sorter-item-actions")
+      .insertAdjacentElement("beforebegin", createAgeBadge(conv.lastReply));
+  }
+  return item;
+}
+
+/**
+ * Create the snooze controls of a dropdown item: a snooze button opening
+ * the durations, or when and how a snoozed conversation wakes up with an
+ * unsnooze button
+ * @param {Object} conv - Unresolved conversation
+ * @param {Object[]} conversations - All conversations, re-rendered after a
+ *   change
+ * @returns {HTMLElement} The controls
+ */
+function createSnoozeActions(conv, conversations) {
+  const actions = document.createElement("span");
+  actions.className = "pr-sorter-item-actions";
+
+  const refresh = () => {
+    conv.snoozed = isSnoozed(conv.element);
+    const groupsEl = actions.closest(".pr-sorter-file-groups");
+    if (groupsEl) renderFileGroups(groupsEl, conversations);
+  };
+
+  if (conv.snoozed) {
+    actions.innerHTML = `
+      <span class="pr-sorter-snooze-label"></span>
+      <button type="button" class="pr-sorter-snooze-btn">Unsnooze</button>
+    `;
+    actions.querySelector(".pr-sorter-snooze-label").textContent =
+      getSnoozeLabel(conv.element);
+    actions.querySelector("button").addEventListener("click", () => {
+      unsnoozeThread(conv.element);
+      refresh();
+    });
+    return actions;
+  }
+
+  actions.innerHTML = `
+    <button
+      type="button"
+      class="pr-sorter-snooze-btn"
+      aria-haspopup="true"
+      aria-expanded="false"
+    >
+      ${createOcticon("clock", 12)}
+      Snooze
+    </button>
+    <span class="pr-sorter-snooze-menu" role="menu" hidden>
+      ${SNOOZE_OPTIONS.map(
+        (option, index) =>
+          `<button type="button" role="menuitem" data-snooze-option="${index}">${option.label}</button>`
+      ).join("")}
+    </span>
+  `;
+
+  const button = actions.querySelector(".pr-sorter-snooze-btn");
+  const menu = actions.querySelector(".pr-sorter-snooze-menu");
+  if (!canSnooze(conv.element)) {
+    button.disabled = true;
+    button.title = "This conversation has no GitHub ID to remember it by";
+  } else {
+    button.title = "Leave out of the count until a reply or a set time";
+  }
+
+  button.addEventListener("click", () => {
+    menu.hidden = !menu.hidden;
+    button.setAttribute("aria-expanded", menu.hidden ? "false" : "true");
+  });
+  menu.addEventListener("click", (e) => {
+    const option = e.target.closest("[data-snooze-option]");
+    if (!option) return;
+    const { duration } = SNOOZE_OPTIONS[Number(option.dataset.snoozeOption)];
+    selectedThreads.delete(conv.element);
+    snoozeThread(conv.element, duration);
+    refresh();
+  });
+
+  return actions;
+}
+
 /**
  * Close the unresolved list dropdown
  */
@@ -509,7 +1591,9 @@ function handleClickOutside(e) {
 
   // Close if click is outside both the button wrapper and the dropdown
   const isOutsideWrapper = wrapper && !wrapper.contains(e.target);
-  const isOutsideDropdown = dropdown && !dropdown.contains(e.target);
+  // Items re-rendered by the click are no longer in the dropdown, so check
+  // where the click happened rather than where its target is now
+  const isOutsideDropdown = dropdown && !e.composedPath().includes(dropdown);
 
   if (isOutsideWrapper && isOutsideDropdown) {
     closeUnresolvedList();
@@ -521,16 +1605,101 @@ function handleClickOutside(e) {
 // ============================================
 
 /**
- * Update the unresolved button state based on current count
+ * Report the unresolved count to the service worker, which shows it on the
+ * toolbar icon of this tab
+ * @param {number} count - Number of unresolved threads
+ */
+function reportUnresolvedCount(count) {
+  // No runtime id once the extension was reloaded or removed
+  if (!chrome?.runtime?.id) return;
+
+  chrome.runtime
+    .sendMessage({
+      action: "updateUnresolvedBadge",
+      count,
+      state: count > 0 ? "pending" : "resolved",
+    })
+    .catch(() => {
+      // Service worker unavailable; the next update will retry
+    });
+}
+
+/**
+ * Count the unresolved threads, adding those GitHub hasn't loaded on the
+ * page when GitHub API data is there
+ * Loaded threads follow the page, which updates live when one is resolved.
+ *
+ * @returns {{count: number, snoozed: number, outdated: number,
+ *   unloaded: number, onMe: number|null}} Unresolved threads not snoozed,
+ *   of which outdated, not on the page and waiting on the signed-in user
+ *   (null when signed out), and snoozed ones
+ */
+function countUnresolvedThreads() {
+  const threads = safeQueryAll(SELECTORS.UNRESOLVED_THREAD);
+  // Snoozed threads don't count until they wake up
+  const active = threads.filter((thread) => !isSnoozed(thread));
+  const signedIn = !!getCurrentUser();
+  const counts = {
+    count: active.length,
+    snoozed: threads.length - active.length,
+    outdated: active.filter(isThreadOutdated).length,
+    unloaded: 0,
+    onMe: signedIn
+      ? active.filter((thread) => getThreadWaitingOn(thread) === WAITING_ON.ME)
+          .length
+      : null,
+  };
+
+  const apiThreads = getApiThreads();
+  if (!apiThreads) return counts;
+
+  const loaded = new Set();
+  safeQueryAll(SELECTORS.REVIEW_THREAD).forEach((thread) => {
+    getApiThreadsIn(thread).forEach((apiThread) => loaded.add(apiThread));
+  });
+  apiThreads
+    .filter((apiThread) => !apiThread.isResolved && !loaded.has(apiThread))
+    .forEach((apiThread) => {
+      if (isSnoozedId(apiThread.key, apiThread.comments.length)) {
+        counts.snoozed++;
+        return;
+      }
+      counts.count++;
+      counts.unloaded++;
+      if (apiThread.isOutdated) counts.outdated++;
+      const authors = apiThread.comments.map((comment) => comment.author);
+      if (signedIn && getWaitingOn(authors) === WAITING_ON.ME) counts.onMe++;
+    });
+  return counts;
+}
+
+/**
+ * Update the unresolved button state based on current count, and the
+ * toolbar badge with it
+ * Tabs without the threads (Commits, Checks) count none, so the badge
+ * keeps the last reported count there unless GitHub API data is in.
  */
 function updateUnresolvedButton() {
+  const { count, snoozed, outdated, unloaded, onMe } = countUnresolvedThreads();
+  if (getControlsVariant() !== null || getApiThreads()) {
+    reportUnresolvedCount(count);
+  }
+  updateOutdatedMenu();
+
   const btn = document.getElementById("pr-sorter-unresolved-btn");
   if (!btn) return;
 
-  const count = safeQueryAll('details[data-resolved="false"]').length;
   const textSpan = btn.querySelector(".pr-sorter-btn-text");
   const arrowSpan = btn.querySelector(".pr-sorter-dropdown-arrow");
 
+  // The dropdown stays available while threads are snoozed, to find them
+  if (count + snoozed > 0 && !arrowSpan) {
+    const arrow = document.createElement("span");
+    arrow.className = "pr-sorter-dropdown-arrow";
+    arrow.innerHTML = createOcticon("chevronDown", 12);
+    btn.appendChild(arrow);
+  }
+
   if (count > 0) {
     btn.classList.remove("pr-sorter-btn--all-resolved");
     btn.classList.add("pr-sorter-btn--has-unresolved");
@@ -538,13 +1707,24 @@ function updateUnresolvedButton() {
     // Update icon to issue-opened
     const svg = btn.querySelector("svg");
     if (svg) svg.outerHTML = createOcticon("issueOpened", 14);
-    // Add arrow if not present
-    if (!arrowSpan) {
-      const arrow = document.createElement("span");
-      arrow.className = "pr-sorter-dropdown-arrow";
-      arrow.innerHTML = createOcticon("chevronDown", 12);
-      btn.appendChild(arrow);
+    updateOutdatedCount(btn, outdated);
+    updateSnoozedCount(btn, snoozed);
+    const waiting = updateWaitingCounts(btn, count, onMe);
+
+    const details = [`${count} unresolved`];
+    if (unloaded > 0) details.push(`${unloaded} not loaded on the page`);
+    if (outdated > 0) details.push(`${outdated} outdated`);
+    if (snoozed > 0) details.push(`${snoozed} snoozed`);
+    if (waiting) {
+      details.push(
+        `${waiting.onMe} waiting on me`,
+        `${waiting.onOthers} waiting on others`
+      );
     }
+    btn.setAttribute(
+      "aria-label",
+      `View unresolved conversations: ${details.join(", ")}`
+    );
   } else {
     btn.classList.remove("pr-sorter-btn--has-unresolved");
     btn.classList.add("pr-sorter-btn--all-resolved");
@@ -552,13 +1732,108 @@ function updateUnresolvedButton() {
     // Update icon to check-circle
     const svg = btn.querySelector("svg");
     if (svg) svg.outerHTML = createOcticon("checkCircle", 14);
-    // Remove arrow
-    if (arrowSpan) arrowSpan.remove();
-    // Close dropdown if open
-    closeUnresolvedList();
+    // Remove outdated and waiting counts, and the arrow unless threads
+    // are snoozed
+    btn.querySelector(".pr-sorter-outdated-count")?.remove();
+    btn.querySelector(".pr-sorter-waiting")?.remove();
+    updateSnoozedCount(btn, snoozed);
+    btn.setAttribute(
+      "aria-label",
+      snoozed > 0
+        ? `View unresolved conversations: ${snoozed} snoozed`
+        : "View unresolved conversations"
+    );
+    if (snoozed === 0) {
+      if (arrowSpan) arrowSpan.remove();
+      // Close dropdown if open
+      closeUnresolvedList();
+    }
   }
 }
 
+/**
+ * Show how many unresolved threads are outdated next to the count
+ * @param {HTMLElement} btn - The unresolved button
+ * @param {number} outdated - Number of outdated unresolved threads
+ */
+function updateOutdatedCount(btn, outdated) {
+  let chip = btn.querySelector(".pr-sorter-outdated-count");
+  if (outdated === 0) {
+    if (chip) chip.remove();
+    return;
+  }
+
+  if (!chip) {
+    chip = document.createElement("span");
+    chip.className = "pr-sorter-outdated-count";
+    chip.title = "Unresolved threads on lines that changed since";
+    btn
+      .querySelector(".pr-sorter-btn-text")
+      .insertAdjacentElement("afterend", chip);
+  }
+  chip.textContent = `${outdated} outdated`;
+}
+
+/**
+ * Show how many unresolved threads are snoozed next to the count
+ * @param {HTMLElement} btn - The unresolved button
+ * @param {number} snoozed - Number of snoozed unresolved threads
+ */
+function updateSnoozedCount(btn, snoozed) {
+  let chip = btn.querySelector(".pr-sorter-snoozed-count");
+  if (snoozed === 0) {
+    if (chip) chip.remove();
+    return;
+  }
+
+  if (!chip) {
+    chip = document.createElement("span");
+    chip.className = "pr-sorter-snoozed-count";
+    chip.title = "Snoozed threads, left out of the count until they wake up";
+    btn.insertBefore(
+      chip,
+      btn.querySelector(".pr-sorter-waiting, .pr-sorter-dropdown-arrow")
+    );
+  }
+  chip.textContent = `${snoozed} snoozed`;
+}
+
+/**
+ * Show how many unresolved threads wait on the signed-in user and on others
+ * @param {HTMLElement} btn - The unresolved button
+ * @param {number} count - Number of unresolved threads
+ * @param {number|null} onMe - How many wait on the signed-in user, or null
+ *   when signed out
+ * @returns {{onMe: number, onOthers: number}|null} The counts, or null
+ *   when signed out
+ */
+function updateWaitingCounts(btn, count, onMe) {
+  let waiting = btn.querySelector(".pr-sorter-waiting");
+  if (onMe === null) {
+    if (waiting) waiting.remove();
+    return null;
+  }
+
+  const onOthers = count - onMe;
+
+  if (!waiting) {
+    waiting = document.createElement("span");
+    waiting.className = "pr-sorter-waiting";
+    waiting.innerHTML = `
+      <span class="pr-sorter-waiting-count pr-sorter-waiting-count--me"></span>
+      <span class="pr-sorter-waiting-count"></span>
+    `;
+    btn.insertBefore(waiting, btn.querySelector(".pr-sorter-dropdown-arrow"));
+  }
+
+  const [meCount, othersCount] = waiting.querySelectorAll(
+    ".pr-sorter-waiting-count"
+  );
+  meCount.textContent = `${onMe} on me`;
+  othersCount.textContent = `${onOthers} on others`;
+  return { onMe, onOthers };
+}
+
 // ============================================
 // NOTIFICATION
 // ============================================
@@ -589,8 +1864,9 @@ function showNotification(message, type = "success") {
     <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16" fill="currentColor" aria-hidden="true">
       ${iconPath}
     </svg>
-    <span>${message}</span>
+    <span></span>
   `;
+  notification.querySelector("span").textContent = message;
   document.body.appendChild(notification);
 
   requestAnimationFrame(() => {
@@ -711,13 +1987,19 @@ function restoreMergeStatusPosition() {
   // Export to global namespace
   window.PRSorter.UI = {
     isConversationTab,
+    isFilesTab,
     isSSOLoginRequired,
     shouldShowControls,
     updateControlsVisibility,
     injectSortControls,
+    renderCustomSortButtons,
     setupEventListeners,
     updateSortIndicator,
+    updateFilterIndicator,
+    updateEventMenu,
+    updateOutdatedMenu,
     updateUnresolvedButton,
+    countUnresolvedThreads,
     showUnresolvedConversations,
     closeUnresolvedList,
     showNotification,
@@ -0,0 +1,421 @@
+/**
+ * PR Enhancer - Visits Module
+ *
+ * @fileoverview Remembers what was seen on each PR and marks what is new since the last visit
+ * @module visits
+ */
+
+window.PRSorter = window.PRSorter || {};
+
+(function() {
+  "use strict";
+
+  const {
+    SELECTORS,
+    createOcticon,
+    getPullRequestKey,
+    safeQuery,
+    safeQueryAll,
+  } = window.PRSorter.Core;
+  const { getCommentAuthor, getCurrentUser } = window.PRSorter.Comments;
+  const { FILTERED_CLASS, OUTDATED_HIDDEN_CLASS } = window.PRSorter.Filters;
+  const { revealThread } = window.PRSorter.Navigation;
+  const { prefersReducedMotion } = window.PRSorter.Animation;
+
+  /**
+   * Prefix of the chrome.storage.local keys holding visit snapshots,
+   * followed by "owner/repo/number"
+   * @constant {string}
+   */
+  const STORAGE_PREFIX = "visit:";
+
+  /**
+   * Most comment IDs remembered per PR, newest kept
+   * @constant {number}
+   */
+  const MAX_SEEN_IDS = 1000;
+
+  /**
+   * Snapshots of PRs not visited for this long are dropped, in milliseconds
+   * @constant {number}
+   */
+  const SNAPSHOT_TTL = 90 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Class applied to timeline items and thread replies new since the last visit
+   * @constant {string}
+   */
+  const UNSEEN_CLASS = "pr-sorter-unseen";
+
+  /**
+   * How long the first new item stays highlighted after jumping to it
+   * @constant {number}
+   */
+  const HIGHLIGHT_DURATION = 2000;
+
+  // Snapshot saved on the previous visit, kept while the PR stays open
+  let _previous = null;
+  // IDs seen on previous visits and this one, saved with the next snapshot;
+  // null until the snapshot has loaded
+  let _seenIds = null;
+  // Storage key of the PR the two above belong to
+  let _loadedKey = null;
+
+  // Will be available after ui.js loads
+  let showNotification;
+
+  // Initialize UI function references after ui.js loads
+  setTimeout(() => {
+    if (window.PRSorter.UI) {
+      showNotification = window.PRSorter.UI.showNotification;
+    }
+  }, 0);
+
+  // ============================================
+  // SNAPSHOTS
+  // ============================================
+
+  /**
+   * Get the storage key of the current PR's snapshot
+   * @returns {string|null} The key, or null outside a PR
+   */
+  function getStorageKey() {
+    const prKey = getPullRequestKey();
+    return prKey ? `${STORAGE_PREFIX}${prKey}` : null;
+  }
+
+  /**
+   * Get the timeline items and thread replies that can be new
+   * @returns {{items: Element[], replies: Element[]}} Tracked elements, or
+   *   none when the timeline isn't on the page (e.g. Files changed tab)
+   */
+  function getTrackedElements() {
+    const container = safeQuery(".js-discussion");
+    if (!container) return { items: [], replies: [] };
+
+    return {
+      items: Array.from(container.children).filter(
+        (el) =>
+          !el.matches(SELECTORS.EXTENSION_ROW) &&
+          !el.querySelector(SELECTORS.LOAD_MORE)
+      ),
+      replies: safeQueryAll(SELECTORS.REVIEW_COMMENT, container),
+    };
+  }
+
+  /**
+   * Get the stable GitHub ID of a timeline item or reply
+   * Only the element's own ID: unlike getGitHubId, an item without one
+   * doesn't take its first comment's, so snapshots saved before keep
+   * matching.
+   *
+   * @param {Element} el - Timeline item or review comment
+   * @returns {string|null} The ID, or null when GitHub gives none
+   */
+  function getItemId(el) {
+    return el.id || el.getAttribute("data-gid") || null;
+  }
+
+  /**
+   * Get when a timeline item or reply was posted
+   * Unlike sorting's getItemDate, which falls back to the epoch so every
+   * item can be ordered, items without a timestamp give null here and are
+   * never taken for new.
+   *
+   * @param {Element} el - Timeline item or review comment
+   * @returns {Date|null} The date, or null without a timestamp
+   */
+  function getPostedDate(el) {
+    const time = el.querySelector("relative-time[datetime], time[datetime]");
+    const date = time ? new Date(time.getAttribute("datetime")) : null;
+    return date && !isNaN(date) ? date : null;
+  }
+
+  /**
+   * Load the current PR's snapshot from the previous visit, replacing the
+   * one of the PR open before
+   * @returns {Promise<Object|null>} { lastSeen, seenIds } with seenIds as a
+   *   Set, or null on the first visit
+   */
+  function loadVisit() {
+    const key = getStorageKey();
+    _loadedKey = key;
+    _previous = null;
+    _seenIds = null;
+    if (!key || !chrome?.storage?.local) return Promise.resolve(null);
+
+    return chrome.storage.local
+      .get([key])
+      .then((result) => {
+        // Another PR was opened while loading
+        if (key !== _loadedKey) return null;
+
+        const snapshot = result[key];
+        const valid =
+          !!snapshot &&
+          typeof snapshot.lastSeen === "number" &&
+          Array.isArray(snapshot.seenIds);
+        _previous = valid
+          ? { lastSeen: snapshot.lastSeen, seenIds: new Set(snapshot.seenIds) }
+          : null;
+        _seenIds = new Set(valid ? snapshot.seenIds : []);
+        return _previous;
+      })
+      .catch(() => null);
+  }
+
+  /**
+   * Save the current time and the IDs on the page as the PR's snapshot
+   * Does nothing without the timeline, so visiting another tab of the PR
+   * doesn't count as having seen the conversation, nor until the PR's own
+   * snapshot has loaded, so another PR's IDs are never saved under its key.
+   */
+  function saveVisit() {
+    const key = getStorageKey();
+    const { items, replies } = getTrackedElements();
+    if (!key || key !== _loadedKey || !_seenIds) return;
+    if (items.length === 0 || !chrome?.storage?.local) return;
+
+    [...items, ...replies].forEach((el) => {
+      const id = getItemId(el);
+      if (id) _seenIds.add(id);
+    });
+    const seenIds = Array.from(_seenIds).slice(-MAX_SEEN_IDS);
+
+    chrome.storage.local
+      .set({ [key]: { lastSeen: Date.now(), seenIds } })
+      .catch(() => {
+        // Silently fail if storage is unavailable
+      });
+  }
+
+  /**
+   * Drop snapshots of PRs that weren't visited for a long time
+   */
+  function pruneVisits() {
+    if (!chrome?.storage?.local) return;
+
+    chrome.storage.local
+      .get(null)
+      .then((all) => {
+        const cutoff = Date.now() - SNAPSHOT_TTL;
+        const expired = Object.keys(all).filter(
+          (key) =>
+            key.startsWith(STORAGE_PREFIX) &&
+            !(all[key] && all[key].lastSeen >= cutoff)
+        );
+        if (expired.length > 0) return chrome.storage.local.remove(expired);
+      })
+      .catch(() => {
+        // Keep old snapshots if storage is unavailable
+      });
+  }
+
+  // ============================================
+  // NEW MARKERS
+  // ============================================
+
+  /**
+   * Check whether an item appeared since the last visit: not seen then and
+   * posted after it. Items that were only hidden behind "Load more" last
+   * time are older than the visit and stay unmarked, as do your own.
+   *
+   * @param {Element} el - Timeline item or review comment
+   * @param {string|null} me - Login of the signed-in user
+   * @returns {boolean} True if the item is new
+   */
+  function isUnseen(el, me) {
+    const id = getItemId(el);
+    if (id && _previous.seenIds.has(id)) return false;
+
+    const date = getPostedDate(el);
+    if (!date || date.getTime() <= _previous.lastSeen) return false;
+
+    return !me || getCommentAuthor(el) !== me;
+  }
+
+  /**
+   * Flag an item as new with an accent and a "New" label by its author
+   * @param {Element} el - Timeline item or review comment
+   */
+  function markUnseen(el) {
+    if (el.classList.contains(UNSEEN_CLASS)) return;
+    el.classList.add(UNSEEN_CLASS);
+
+    const author = el.querySelector(".author, .js-author");
+    if (author) {
+      const label = document.createElement("span");
+      label.className = "pr-sorter-new-label";
+      label.setAttribute("data-extension", "pr-comment-sorter");
+      label.textContent = "New";
+      author.insertAdjacentElement("afterend", label);
+    }
+  }
+
+  /**
+   * Mark the timeline items and thread replies that appeared since the last
+   * visit; a reply is only marked when its timeline item isn't
+   * Safe to call again as items load: marked items are left alone. After
+   * navigating to another PR without a page load, its snapshot is loaded
+   * first and the items are marked once it is in.
+   *
+   * @returns {number} Number of items marked new
+   */
+  function markNewItems() {
+    if (getStorageKey() !== _loadedKey) {
+      loadVisit().then(() => {
+        markNewItems();
+        saveVisit();
+      });
+      return 0;
+    }
+    if (!_previous) return 0;
+
+    const me = getCurrentUser();
+    const { items, replies } = getTrackedElements();
+    items.forEach((el) => {
+      if (isUnseen(el, me)) markUnseen(el);
+    });
+    replies.forEach((el) => {
+      if (!el.closest(`.${UNSEEN_CLASS}`) && isUnseen(el, me)) markUnseen(el);
+    });
+
+    updateNewSummary();
+    return safeQueryAll(`.${UNSEEN_CLASS}`).length;
+  }
+
+  // ============================================
+  // SUMMARY AND JUMP
+  // ============================================
+
+  /**
+   * Describe when the last visit was, relative to now
+   * @param {Date} date - Time of the last visit
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {string} e.g. "since 2:05 PM", "since yesterday",
+   *   "since Tuesday", "since Mar 4"
+   */
+  function formatSince(date, now = new Date()) {
+    const startOfDay = (d) =>
+      new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    const days = Math.round((startOfDay(now) - startOfDay(date)) / 86400000);
+
+    if (days <= 0) {
+      return `since ${date.toLocaleTimeString(undefined, {
+        hour: "numeric",
+        minute: "2-digit",
+      })}`;
+    }
+    if (days === 1) return "since yesterday";
+    if (days < 7) {
+      return `since ${date.toLocaleDateString(undefined, { weekday: "long" })}`;
+    }
+    return `since ${date.toLocaleDateString(undefined, {
+      month: "short",
+      day: "numeric",
+    })}`;
+  }
+
+  /**
+   * Show, update or remove the "N new since …" summary and its jump button
+   * in the Conversation toolbar
+   */
+  function updateNewSummary() {
+    const row = safeQuery(
+      '.pr-comment-sorter-controls[data-variant="conversation"] .pr-sorter-row'
+    );
+    if (!row) return;
+
+    const count = _previous ? safeQueryAll(`.${UNSEEN_CLASS}`).length : 0;
+    let summary = safeQuery(".pr-sorter-new-since", row);
+    if (count === 0) {
+      if (summary) summary.remove();
+      return;
+    }
+
+    if (!summary) {
+      summary = document.createElement("div");
+      summary.className = "pr-sorter-new-since";
+      summary.setAttribute("data-extension", "pr-comment-sorter");
+      summary.innerHTML = `
+        <span class="pr-sorter-new-since-text"></span>
+        <button type="button" class="pr-sorter-btn">
+          ${createOcticon("chevronDown", 14)}
+          Jump to first new
+        </button>
+      `;
+      summary
+        .querySelector(".pr-sorter-btn")
+        .addEventListener("click", jumpToFirstNew);
+      row.appendChild(summary);
+    }
+
+    const lastSeen = new Date(_previous.lastSeen);
+    const text = `${count} new ${formatSince(lastSeen)}`;
+    const textEl = summary.querySelector(".pr-sorter-new-since-text");
+    if (textEl.textContent !== text) {
+      textEl.textContent = text;
+      textEl.title = `Last visit ${lastSeen.toLocaleString()}`;
+    }
+  }
+
+  /**
+   * Scroll to the earliest posted item new since the last visit that isn't
+   * hidden by a filter, opening its thread if needed
+   * Picks by date rather than page order, so it's where to start reading
+   * whatever the active sort.
+   *
+   * @returns {Element|null} The item jumped to
+   */
+  function jumpToFirstNew() {
+    const [first] = safeQueryAll(`.${UNSEEN_CLASS}`)
+      .filter(
+        (el) => !el.closest(`.${FILTERED_CLASS}, .${OUTDATED_HIDDEN_CLASS}`)
+      )
+      .sort((a, b) => getPostedDate(a) - getPostedDate(b));
+    if (!first) {
+      if (showNotification) showNotification("No new comments to show");
+      return null;
+    }
+
+    const thread = first.closest(SELECTORS.REVIEW_THREAD);
+    if (thread) revealThread(thread);
+    first.scrollIntoView({
+      behavior: prefersReducedMotion() ? "auto" : "smooth",
+      block: "center",
+    });
+    first.classList.add("pr-sorter-highlight");
+    setTimeout(
+      () => first.classList.remove("pr-sorter-highlight"),
+      HIGHLIGHT_DURATION
+    );
+    return first;
+  }
+
+  /**
+   * Mark what is new since the last visit, then record this visit; the
+   * snapshot is saved again when the tab is hidden so comments that arrive
+   * while reading count as seen
+   * @returns {Promise<number>} Number of items marked new
+   */
+  function setupVisitTracking() {
+    return loadVisit().then(() => {
+      const count = markNewItems();
+      saveVisit();
+      pruneVisits();
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") saveVisit();
+      });
+      return count;
+    });
+  }
+
+  // Export to global namespace
+  window.PRSorter.Visits = {
+    formatSince,
+    markNewItems,
+    updateNewSummary,
+    jumpToFirstNew,
+    setupVisitTracking,
+  };
+})();
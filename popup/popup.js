@@ -22,7 +22,9 @@
     ANIMATION_DURATION: 150,
     ERROR_DISPLAY_DURATION: 3000,
     SUCCESS_FEEDBACK_DURATION: 150,
-    CONTENT_SCRIPT_TIMEOUT: 100
+    CONTENT_SCRIPT_TIMEOUT: 100,
+    MAX_SORT_KEYS: 4,
+    MAX_DASHBOARD_PRS: 10
   };
 
   /**
@@ -31,10 +33,65 @@
    */
   const STORAGE_KEYS = {
     SORT_PREFERENCE: 'sortPreference',
+    FILTER_PREFERENCE: 'filterPreference',
     HAS_SEEN_ONBOARDING: 'hasSeenOnboarding',
-    MOVE_MERGE_STATUS: 'moveMergeStatus'
+    MOVE_MERGE_STATUS: 'moveMergeStatus',
+    COLLAPSE_BOTS: 'collapseBots',
+    BOT_LOGINS: 'botLogins',
+    LOAD_HIDDEN_ITEMS: 'loadHiddenItems',
+    STALENESS_THRESHOLDS: 'stalenessThresholds',
+    API_ENDPOINT: 'apiEndpoint',
+    CUSTOM_SORTS: 'customSorts'
   };
 
+  /**
+   * chrome.storage.local key of the GitHub API token
+   * Must match API_TOKEN_KEY in background.js
+   * @constant {string}
+   */
+  const API_TOKEN_KEY = 'githubToken';
+
+  /**
+   * GraphQL endpoint used when none is set
+   * @constant {string}
+   */
+  const DEFAULT_API_ENDPOINT = 'https://api.github.com/graphql';
+
+  /**
+   * Hosts the token may be sent to over plain http, for a local mock server
+   * Must match LOCAL_API_HOSTS in background.js
+   * @constant {string[]}
+   */
+  const LOCAL_API_HOSTS = ['localhost', '127.0.0.1'];
+
+  /**
+   * Prefix of the chrome.storage.local keys holding PR summaries
+   * Must match STORAGE_PREFIX in content/summaries.js
+   * @constant {string}
+   */
+  const SUMMARY_PREFIX = 'summary:';
+
+  /**
+   * Keys offered by the custom sort builder, with per-direction labels
+   * Ids must match SORT_KEYS in content/sorting.js
+   * @constant {Array<{id: string, label: string, asc: string, desc: string}>}
+   */
+  const SORT_KEYS = [
+    { id: 'resolved', label: 'Resolution', asc: 'Unresolved first', desc: 'Resolved first' },
+    { id: 'path', label: 'File path', asc: 'A to Z', desc: 'Z to A' },
+    { id: 'date', label: 'Date', asc: 'Oldest first', desc: 'Newest first' },
+    { id: 'activity', label: 'Latest activity', asc: 'Least recent first', desc: 'Most recent first' },
+    { id: 'author', label: 'Author', asc: 'A to Z', desc: 'Z to A' },
+    { id: 'reactions', label: 'Reactions', asc: 'Fewest first', desc: 'Most first' },
+    { id: 'original', label: 'GitHub order', asc: 'As on GitHub', desc: 'Reversed' }
+  ];
+
+  /**
+   * Octicon sort-desc markup used for custom sort buttons
+   * @constant {string}
+   */
+  const CUSTOM_SORT_ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="18" height="18" fill="currentColor"><path d="M0 1.75C0 .784.784 0 1.75 0h12.5C15.216 0 16 .784 16 1.75v12.5A1.75 1.75 0 0 1 14.25 16H1.75A1.75 1.75 0 0 1 0 14.25Zm1.75-.25a.25.25 0 0 0-.25.25v12.5c0 .138.112.25.25.25h12.5a.25.25 0 0 0 .25-.25V1.75a.25.25 0 0 0-.25-.25ZM3.5 4h9a.75.75 0 0 1 0 1.5h-9a.75.75 0 0 1 0-1.5ZM3.5 7.5h5a.75.75 0 0 1 0 1.5h-5a.75.75 0 0 1 0-1.5Zm0 3.5h3a.75.75 0 0 1 0 1.5h-3a.75.75 0 0 1 0-1.5Z"/></svg>';
+
   // ============================================
   // DOM ELEMENTS
   // ============================================
@@ -51,15 +108,62 @@
   const onboarding = document.getElementById('onboarding');
   /** @type {HTMLElement|null} */
   const dismissOnboarding = document.getElementById('dismiss-onboarding');
-  /** @type {NodeListOf<HTMLButtonElement>} */
-  const sortButtons = document.querySelectorAll('.sort-btn');
+  /** @type {HTMLElement|null} */
+  const sortOptionsList = document.querySelector('.sort-options');
+  /** @type {HTMLSelectElement|null} */
+  const filterSelect = document.getElementById('filter-select');
   /** @type {HTMLInputElement|null} */
   const moveMergeToggle = document.getElementById('move-merge-toggle');
+  /** @type {HTMLInputElement|null} */
+  const loadHiddenToggle = document.getElementById('load-hidden-toggle');
+  /** @type {HTMLElement|null} */
+  const customSortList = document.getElementById('custom-sort-list');
+  /** @type {HTMLFormElement|null} */
+  const customSortBuilder = document.getElementById('custom-sort-builder');
+  /** @type {HTMLInputElement|null} */
+  const customSortName = document.getElementById('custom-sort-name');
+  /** @type {HTMLElement|null} */
+  const customSortKeys = document.getElementById('custom-sort-keys');
+  /** @type {HTMLButtonElement|null} */
+  const addSortKeyButton = document.getElementById('add-sort-key');
+  /** @type {HTMLInputElement|null} */
+  const collapseBotsToggle = document.getElementById('collapse-bots-toggle');
+  /** @type {HTMLInputElement|null} */
+  const botLoginsInput = document.getElementById('bot-logins-input');
+  /** @type {HTMLInputElement|null} */
+  const agingDaysInput = document.getElementById('aging-days-input');
+  /** @type {HTMLInputElement|null} */
+  const staleDaysInput = document.getElementById('stale-days-input');
+  /** @type {HTMLInputElement|null} */
+  const apiTokenInput = document.getElementById('api-token-input');
+  /** @type {HTMLInputElement|null} */
+  const apiEndpointInput = document.getElementById('api-endpoint-input');
+  /** @type {HTMLElement|null} */
+  const dashboardList = document.getElementById('dashboard-list');
+  /** @type {HTMLElement|null} */
+  const dashboardEmpty = document.getElementById('dashboard-empty');
+
+  // ============================================
+  // POPUP STATE
+  // ============================================
+
+  /** @type {Array<Object>} Saved custom sorts */
+  let customSorts = [];
+  /** @type {chrome.tabs.Tab|null} Active PR tab, once detected */
+  let currentTab = null;
 
   // ============================================
   // UTILITY FUNCTIONS
   // ============================================
 
+  /**
+   * Get all sort buttons, including rendered custom sorts
+   * @returns {NodeListOf<HTMLButtonElement>} Sort buttons
+   */
+  function getSortButtons() {
+    return document.querySelectorAll('.sort-btn');
+  }
+
   /**
    * Safely query the DOM with error handling
    * @param {string} selector - CSS selector
@@ -97,6 +201,16 @@
     }
   }
 
+  /**
+   * Get the "owner/repo/number" key of a pull request URL
+   * @param {string} [url] - Page URL
+   * @returns {string|null} The key, or null for other pages
+   */
+  function getPullRequestKey(url) {
+    const match = (url || '').match(/^https:\/\/github\.com\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+    return match ? `${match[1]}/${match[2]}/${match[3]}` : null;
+  }
+
   // ============================================
   // TAB AND PAGE DETECTION
   // ============================================
@@ -213,6 +327,9 @@
       if (response) {
         // Update active button based on current sort
         updateButtonStates(response.currentSort);
+        if (filterSelect && response.currentFilter) {
+          filterSelect.value = response.currentFilter;
+        }
       }
     } catch (error) {
       console.log('[Popup] Could not get status from content script:', error.message);
@@ -224,7 +341,7 @@
    * @param {string} currentSort - The current sort option
    */
   function updateButtonStates(currentSort) {
-    sortButtons.forEach(btn => {
+    getSortButtons().forEach(btn => {
       const isActive = btn.dataset.sort === currentSort;
       btn.classList.toggle('active', isActive);
       btn.setAttribute('aria-checked', isActive ? 'true' : 'false');
@@ -272,6 +389,37 @@
     }
   }
 
+  // ============================================
+  // FILTER FUNCTIONALITY
+  // ============================================
+
+  /**
+   * Send filter command to content script
+   * @param {string} filterOption - The filter option to apply
+   * @param {number} tabId - ID of the tab
+   * @returns {Promise<void>}
+   */
+  async function filterComments(filterOption, tabId) {
+    try {
+      const isLoaded = await ensureContentScript(tabId);
+
+      if (!isLoaded) {
+        showError('Could not connect to page. Please refresh and try again.');
+        return;
+      }
+
+      await chrome.tabs.sendMessage(tabId, {
+        action: 'filter',
+        filterOption
+      });
+
+      await chrome.storage.sync.set({ [STORAGE_KEYS.FILTER_PREFERENCE]: filterOption });
+    } catch (error) {
+      console.error('[Popup] Error filtering comments:', error);
+      showError('Error filtering comments. Please try again.');
+    }
+  }
+
   // ============================================
   // FEEDBACK UI
   // ============================================
@@ -280,7 +428,7 @@
    * Show success feedback on buttons
    */
   function showSuccess() {
-    sortButtons.forEach(btn => {
+    getSortButtons().forEach(btn => {
       if (btn.classList.contains('active')) {
         btn.style.transition = `transform ${CONFIG.ANIMATION_DURATION}ms ease`;
         btn.style.transform = 'scale(1.02)';
@@ -382,6 +530,21 @@
     }
   }
 
+  /**
+   * Load saved filter preference
+   * @returns {Promise<void>}
+   */
+  async function loadSavedFilterPreference() {
+    try {
+      const result = await chrome.storage.sync.get([STORAGE_KEYS.FILTER_PREFERENCE]);
+      if (filterSelect) {
+        filterSelect.value = result[STORAGE_KEYS.FILTER_PREFERENCE] || 'all';
+      }
+    } catch (error) {
+      console.error('[Popup] Error loading filter preference:', error);
+    }
+  }
+
   /**
    * Load move merge status preference
    * @returns {Promise<void>}
@@ -433,6 +596,656 @@
     }
   }
 
+  /**
+   * Send a message to the content script of the active tab, if any
+   * @param {Object} message - Message to send
+   * @returns {Promise<void>}
+   */
+  async function notifyActiveTab(message) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.id) {
+      try {
+        await chrome.tabs.sendMessage(tab.id, message);
+      } catch (error) {
+        // Content script might not be loaded yet, that's okay
+        console.log('[Popup] Could not notify content script:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Load bot noise preferences
+   * @returns {Promise<void>}
+   */
+  async function loadBotPreferences() {
+    try {
+      const result = await chrome.storage.sync.get([
+        STORAGE_KEYS.COLLAPSE_BOTS,
+        STORAGE_KEYS.BOT_LOGINS
+      ]);
+      const shouldCollapse = result[STORAGE_KEYS.COLLAPSE_BOTS] !== false; // Default to true
+
+      if (collapseBotsToggle) {
+        collapseBotsToggle.checked = shouldCollapse;
+        collapseBotsToggle.setAttribute('aria-checked', shouldCollapse ? 'true' : 'false');
+      }
+      if (botLoginsInput) {
+        botLoginsInput.value = (result[STORAGE_KEYS.BOT_LOGINS] || []).join(', ');
+      }
+    } catch (error) {
+      console.error('[Popup] Error loading bot preferences:', error);
+    }
+  }
+
+  /**
+   * Handle collapse bot comments toggle change
+   * @param {boolean} shouldCollapse - Whether to fold bot comments
+   * @returns {Promise<void>}
+   */
+  async function handleCollapseBotsToggle(shouldCollapse) {
+    try {
+      await chrome.storage.sync.set({ [STORAGE_KEYS.COLLAPSE_BOTS]: shouldCollapse });
+      if (collapseBotsToggle) {
+        collapseBotsToggle.setAttribute('aria-checked', shouldCollapse ? 'true' : 'false');
+      }
+      await notifyActiveTab({ action: 'updateBotPreferences', collapseBots: shouldCollapse });
+    } catch (error) {
+      console.error('[Popup] Error saving collapse bots preference:', error);
+    }
+  }
+
+  /**
+   * Handle extra bot accounts input change
+   * @param {string} value - Comma-separated logins
+   * @returns {Promise<void>}
+   */
+  async function handleBotLoginsChange(value) {
+    try {
+      const botLogins = value
+        .split(',')
+        .map(login => login.trim())
+        .filter(Boolean);
+      await chrome.storage.sync.set({ [STORAGE_KEYS.BOT_LOGINS]: botLogins });
+      await notifyActiveTab({ action: 'updateBotPreferences', botLogins });
+    } catch (error) {
+      console.error('[Popup] Error saving bot logins:', error);
+    }
+  }
+
+  /**
+   * Load the hidden items preference
+   * @returns {Promise<void>}
+   */
+  async function loadHiddenItemsPreference() {
+    try {
+      const result = await chrome.storage.sync.get([STORAGE_KEYS.LOAD_HIDDEN_ITEMS]);
+      const shouldLoad = result[STORAGE_KEYS.LOAD_HIDDEN_ITEMS] === true; // Default to false
+
+      if (loadHiddenToggle) {
+        loadHiddenToggle.checked = shouldLoad;
+        loadHiddenToggle.setAttribute('aria-checked', shouldLoad ? 'true' : 'false');
+      }
+    } catch (error) {
+      console.error('[Popup] Error loading hidden items preference:', error);
+    }
+  }
+
+  /**
+   * Handle load hidden items toggle change
+   * @param {boolean} shouldLoad - Whether to expand hidden timeline items
+   * @returns {Promise<void>}
+   */
+  async function handleLoadHiddenToggle(shouldLoad) {
+    try {
+      await chrome.storage.sync.set({ [STORAGE_KEYS.LOAD_HIDDEN_ITEMS]: shouldLoad });
+      if (loadHiddenToggle) {
+        loadHiddenToggle.setAttribute('aria-checked', shouldLoad ? 'true' : 'false');
+      }
+      await notifyActiveTab({ action: 'updateLoaderPreference', loadHiddenItems: shouldLoad });
+    } catch (error) {
+      console.error('[Popup] Error saving hidden items preference:', error);
+    }
+  }
+
+  /**
+   * Load the thread age thresholds
+   * @returns {Promise<void>}
+   */
+  async function loadStalenessThresholds() {
+    try {
+      const result = await chrome.storage.sync.get([STORAGE_KEYS.STALENESS_THRESHOLDS]);
+      const thresholds = result[STORAGE_KEYS.STALENESS_THRESHOLDS];
+
+      if (thresholds && agingDaysInput && staleDaysInput) {
+        agingDaysInput.value = thresholds.aging;
+        staleDaysInput.value = thresholds.stale;
+      }
+    } catch (error) {
+      console.error('[Popup] Error loading age thresholds:', error);
+    }
+  }
+
+  /**
+   * Handle a change to either age threshold
+   * Invalid values are reset to the previous ones; the stale threshold is
+   * raised to the aging one if it would fall below it.
+   * @returns {Promise<void>}
+   */
+  async function handleStalenessChange() {
+    if (!agingDaysInput || !staleDaysInput) return;
+
+    const aging = Number(agingDaysInput.value);
+    const stale = Number(staleDaysInput.value);
+    if (!(aging > 0) || !(stale > 0)) {
+      await loadStalenessThresholds();
+      return;
+    }
+
+    const stalenessThresholds = { aging, stale: Math.max(aging, stale) };
+    staleDaysInput.value = stalenessThresholds.stale;
+
+    try {
+      await chrome.storage.sync.set({ [STORAGE_KEYS.STALENESS_THRESHOLDS]: stalenessThresholds });
+      await notifyActiveTab({ action: 'updateStalenessThresholds', stalenessThresholds });
+    } catch (error) {
+      console.error('[Popup] Error saving age thresholds:', error);
+    }
+  }
+
+  /**
+   * Load the GitHub API token and endpoint
+   * @returns {Promise<void>}
+   */
+  async function loadApiSettings() {
+    try {
+      const [local, sync] = await Promise.all([
+        chrome.storage.local.get([API_TOKEN_KEY]),
+        chrome.storage.sync.get([STORAGE_KEYS.API_ENDPOINT])
+      ]);
+
+      if (apiTokenInput) {
+        apiTokenInput.value = local[API_TOKEN_KEY] || '';
+      }
+      if (apiEndpointInput) {
+        const endpoint = sync[STORAGE_KEYS.API_ENDPOINT];
+        apiEndpointInput.value = endpoint && endpoint !== DEFAULT_API_ENDPOINT ? endpoint : '';
+      }
+    } catch (error) {
+      console.error('[Popup] Error loading API settings:', error);
+    }
+  }
+
+  /**
+   * Handle GitHub API token input change
+   * The token goes to local storage so it isn't synced to other browsers.
+   * @param {string} value - New token, blank to remove it
+   * @returns {Promise<void>}
+   */
+  async function handleApiTokenChange(value) {
+    const token = value.trim();
+    try {
+      if (token) {
+        await chrome.storage.local.set({ [API_TOKEN_KEY]: token });
+      } else {
+        await chrome.storage.local.remove(API_TOKEN_KEY);
+      }
+      await notifyActiveTab({ action: 'refreshApiData' });
+    } catch (error) {
+      console.error('[Popup] Error saving API token:', error);
+    }
+  }
+
+  /**
+   * Handle GitHub API endpoint input change
+   * Blank restores the default. The token is sent along, so only https
+   * URLs are kept, or http ones on this machine; others are reset to the
+   * previous value, as are endpoints whose host the user doesn't grant
+   * access to.
+   * @param {string} value - GraphQL endpoint URL
+   * @returns {Promise<void>}
+   */
+  async function handleApiEndpointChange(value) {
+    let url = null;
+    try {
+      url = new URL(value.trim() || DEFAULT_API_ENDPOINT);
+    } catch (error) {
+      // Not a URL
+    }
+    const isSecure =
+      url &&
+      (url.protocol === 'https:' ||
+        (url.protocol === 'http:' && LOCAL_API_HOSTS.includes(url.hostname)));
+    if (!isSecure) {
+      await loadApiSettings();
+      return;
+    }
+
+    try {
+      // Already granted for api.github.com; other hosts are asked for once
+      const granted = await chrome.permissions.request({
+        origins: [`${url.protocol}//${url.hostname}/*`]
+      });
+      if (!granted) {
+        await loadApiSettings();
+        return;
+      }
+
+      await chrome.storage.sync.set({ [STORAGE_KEYS.API_ENDPOINT]: url.href });
+      await notifyActiveTab({ action: 'refreshApiData' });
+    } catch (error) {
+      console.error('[Popup] Error saving API endpoint:', error);
+    }
+  }
+
+  // ============================================
+  // CUSTOM SORTS
+  // ============================================
+
+  /**
+   * Describe a custom sort pipeline, e.g. "Resolution: Unresolved first, then Date: Newest first"
+   * @param {Array<{key: string, direction: string}>} keys - Sort pipeline
+   * @returns {string} Human readable description
+   */
+  function describeSortKeys(keys) {
+    return keys
+      .map(step => {
+        const key = SORT_KEYS.find(k => k.id === step.key);
+        return key ? `${key.label}: ${key[step.direction] || key.asc}` : null;
+      })
+      .filter(Boolean)
+      .join(', then ');
+  }
+
+  /**
+   * Render saved custom sorts as sort buttons and in the builder list
+   */
+  function renderCustomSorts() {
+    if (sortOptionsList) {
+      sortOptionsList.querySelectorAll('.sort-btn[data-custom-sort]').forEach(btn => btn.remove());
+
+      customSorts.forEach(sort => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'sort-btn';
+        btn.dataset.sort = sort.id;
+        btn.dataset.customSort = 'true';
+        btn.setAttribute('role', 'radio');
+        btn.setAttribute('aria-checked', 'false');
+        btn.innerHTML = `
+          <div class="btn-icon" aria-hidden="true">${CUSTOM_SORT_ICON}</div>
+          <div class="btn-content">
+            <span class="btn-title"></span>
+            <span class="btn-desc"></span>
+          </div>
+        `;
+        btn.querySelector('.btn-title').textContent = sort.name;
+        btn.querySelector('.btn-desc').textContent = describeSortKeys(sort.keys);
+        sortOptionsList.appendChild(btn);
+
+        if (currentTab) bindSortButton(btn, currentTab);
+      });
+    }
+
+    if (customSortList) {
+      customSortList.innerHTML = '';
+      customSorts.forEach(sort => {
+        const entry = document.createElement('li');
+        entry.className = 'custom-sort-entry';
+        entry.title = describeSortKeys(sort.keys);
+        entry.innerHTML = `
+          <span class="custom-sort-entry-name"></span>
+          <button type="button" class="icon-btn" aria-label="Delete custom sort">
+            <!-- Octicon: trash -->
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="14" height="14" fill="currentColor" aria-hidden="true">
+              <path d="M11 1.75V3h2.25a.75.75 0 0 1 0 1.5H2.75a.75.75 0 0 1 0-1.5H5V1.75C5 .784 5.784 0 6.75 0h2.5C10.216 0 11 .784 11 1.75ZM4.496 6.675l.66 6.6a.25.25 0 0 0 .249.225h5.19a.25.25 0 0 0 .249-.225l.66-6.6a.75.75 0 0 1 1.492.149l-.66 6.6A1.748 1.748 0 0 1 10.595 15h-5.19a1.75 1.75 0 0 1-1.741-1.575l-.66-6.6a.75.75 0 1 1 1.492-.15ZM6.5 1.75V3h3V1.75a.25.25 0 0 0-.25-.25h-2.5a.25.25 0 0 0-.25.25Z"/>
+            </svg>
+          </button>
+        `;
+        entry.querySelector('.custom-sort-entry-name').textContent = sort.name;
+        entry.querySelector('.icon-btn').addEventListener('click', () => deleteCustomSort(sort.id));
+        customSortList.appendChild(entry);
+      });
+    }
+  }
+
+  /**
+   * Load saved custom sorts and render them
+   * @returns {Promise<void>}
+   */
+  async function loadCustomSorts() {
+    try {
+      const result = await chrome.storage.sync.get([STORAGE_KEYS.CUSTOM_SORTS]);
+      customSorts = Array.isArray(result[STORAGE_KEYS.CUSTOM_SORTS])
+        ? result[STORAGE_KEYS.CUSTOM_SORTS]
+        : [];
+      renderCustomSorts();
+    } catch (error) {
+      console.error('[Popup] Error loading custom sorts:', error);
+    }
+  }
+
+  /**
+   * Persist custom sorts, re-render them and notify the active tab
+   * @returns {Promise<void>}
+   */
+  async function saveCustomSorts() {
+    await chrome.storage.sync.set({ [STORAGE_KEYS.CUSTOM_SORTS]: customSorts });
+    renderCustomSorts();
+    await notifyActiveTab({ action: 'updateCustomSorts' });
+  }
+
+  /**
+   * Delete a custom sort, falling back to newest first if it was active
+   * @param {string} id - Custom sort id
+   * @returns {Promise<void>}
+   */
+  async function deleteCustomSort(id) {
+    try {
+      customSorts = customSorts.filter(sort => sort.id !== id);
+
+      const result = await chrome.storage.sync.get([STORAGE_KEYS.SORT_PREFERENCE]);
+      if (result[STORAGE_KEYS.SORT_PREFERENCE] === id) {
+        await chrome.storage.sync.set({ [STORAGE_KEYS.SORT_PREFERENCE]: 'date-newest' });
+        updateButtonStates('date-newest');
+      }
+
+      await saveCustomSorts();
+    } catch (error) {
+      console.error('[Popup] Error deleting custom sort:', error);
+      showError('Could not delete custom sort.');
+    }
+  }
+
+  /**
+   * Update the direction labels of a builder row for its selected key
+   * @param {HTMLElement} row - Builder row
+   */
+  function updateDirectionLabels(row) {
+    const key = SORT_KEYS.find(k => k.id === row.querySelector('.sort-key-select').value);
+    const directionSelect = row.querySelector('.sort-direction-select');
+    if (!key || !directionSelect) return;
+
+    directionSelect.options[0].textContent = key.asc;
+    directionSelect.options[1].textContent = key.desc;
+  }
+
+  /**
+   * Add a "sort by" row to the custom sort builder
+   * @param {string} [keyId] - Initially selected key
+   * @param {string} [direction='asc'] - Initially selected direction
+   */
+  function addSortKeyRow(keyId, direction = 'asc') {
+    if (!customSortKeys) return;
+
+    const rows = customSortKeys.querySelectorAll('.custom-sort-key');
+    if (rows.length >= CONFIG.MAX_SORT_KEYS) return;
+
+    // Default to the first key not used by an earlier row
+    const used = Array.from(rows).map(row => row.querySelector('.sort-key-select').value);
+    const initialKey = keyId || (SORT_KEYS.find(k => !used.includes(k.id)) || SORT_KEYS[0]).id;
+
+    const row = document.createElement('div');
+    row.className = 'custom-sort-key';
+    row.innerHTML = `
+      <select class="sort-key-select" aria-label="Sort key ${rows.length + 1}">
+        ${SORT_KEYS.map(k => `<option value="${k.id}">${k.label}</option>`).join('')}
+      </select>
+      <select class="sort-direction-select" aria-label="Sort direction ${rows.length + 1}">
+        <option value="asc"></option>
+        <option value="desc"></option>
+      </select>
+      <button type="button" class="icon-btn" aria-label="Remove sort key">
+        <!-- Octicon: x -->
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="14" height="14" fill="currentColor" aria-hidden="true">
+          <path d="M3.72 3.72a.75.75 0 0 1 1.06 0L8 6.94l3.22-3.22a.749.749 0 0 1 1.275.326.749.749 0 0 1-.215.734L9.06 8l3.22 3.22a.749.749 0 0 1-.326 1.275.749.749 0 0 1-.734-.215L8 9.06l-3.22 3.22a.751.751 0 0 1-1.042-.018.751.751 0 0 1-.018-1.042L6.94 8 3.72 4.78a.75.75 0 0 1 0-1.06Z"/>
+        </svg>
+      </button>
+    `;
+
+    const keySelect = row.querySelector('.sort-key-select');
+    keySelect.value = initialKey;
+    row.querySelector('.sort-direction-select').value = direction;
+    updateDirectionLabels(row);
+
+    keySelect.addEventListener('change', () => updateDirectionLabels(row));
+    row.querySelector('.icon-btn').addEventListener('click', () => {
+      if (customSortKeys.querySelectorAll('.custom-sort-key').length > 1) {
+        row.remove();
+        updateAddKeyButton();
+      }
+    });
+
+    customSortKeys.appendChild(row);
+    updateAddKeyButton();
+  }
+
+  /**
+   * Disable "Then by…" once the maximum number of keys is reached
+   */
+  function updateAddKeyButton() {
+    if (addSortKeyButton && customSortKeys) {
+      addSortKeyButton.disabled =
+        customSortKeys.querySelectorAll('.custom-sort-key').length >= CONFIG.MAX_SORT_KEYS;
+    }
+  }
+
+  /**
+   * Reset the builder to a single empty row
+   */
+  function resetSortBuilder() {
+    if (customSortName) customSortName.value = '';
+    if (customSortKeys) customSortKeys.innerHTML = '';
+    addSortKeyRow('resolved', 'asc');
+  }
+
+  /**
+   * Save the custom sort described by the builder
+   * @param {SubmitEvent} e - Form submit event
+   * @returns {Promise<void>}
+   */
+  async function handleSaveCustomSort(e) {
+    e.preventDefault();
+
+    const name = customSortName?.value.trim();
+    if (!name || !customSortKeys) return;
+
+    // Drop repeated keys: only the first occurrence can affect the order
+    const seen = new Set();
+    const keys = Array.from(customSortKeys.querySelectorAll('.custom-sort-key'))
+      .map(row => ({
+        key: row.querySelector('.sort-key-select').value,
+        direction: row.querySelector('.sort-direction-select').value
+      }))
+      .filter(step => !seen.has(step.key) && seen.add(step.key));
+
+    try {
+      customSorts = [
+        ...customSorts,
+        { id: `custom-${Date.now().toString(36)}`, name, keys }
+      ];
+      await saveCustomSorts();
+      resetSortBuilder();
+    } catch (error) {
+      console.error('[Popup] Error saving custom sort:', error);
+      showError('Could not save custom sort.');
+    }
+  }
+
+  /**
+   * Set up custom sort builder handlers
+   */
+  function setupCustomSortBuilder() {
+    if (!customSortBuilder) return;
+
+    resetSortBuilder();
+    customSortBuilder.addEventListener('submit', handleSaveCustomSort);
+    if (addSortKeyButton) {
+      addSortKeyButton.addEventListener('click', () => addSortKeyRow());
+    }
+  }
+
+  // ============================================
+  // RECENT PULL REQUESTS DASHBOARD
+  // ============================================
+
+  /**
+   * Rank a PR by how much it needs attention: waiting on you, then with
+   * unresolved threads, then all resolved, then merged or closed
+   * @param {Object} summary - PR summary cached by the content script
+   * @returns {number} Rank, lowest first
+   */
+  function getAttentionRank(summary) {
+    if (summary.state === 'merged' || summary.state === 'closed') return 3;
+    if (summary.waitingOnMe > 0) return 0;
+    if (summary.unresolved > 0) return 1;
+    return 2;
+  }
+
+  /**
+   * Sort PR summaries by what needs attention, most recent activity first
+   * within the same rank
+   * @param {Array<Object>} summaries - PR summaries
+   * @returns {Array<Object>} Sorted copy
+   */
+  function sortByAttention(summaries) {
+    const activity = summary => summary.lastActivity || summary.visitedAt || 0;
+    return [...summaries].sort((a, b) =>
+      getAttentionRank(a) - getAttentionRank(b) || activity(b) - activity(a)
+    );
+  }
+
+  /**
+   * Format a time relative to now
+   * @param {number} time - Timestamp in milliseconds
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {string} e.g. "just now", "5m ago", "3h ago", "2d ago", "Mar 4"
+   */
+  function formatTimeAgo(time, now = Date.now()) {
+    const minutes = Math.floor((now - time) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    const days = Math.floor(hours / 24);
+    if (days < 30) return `${days}d ago`;
+    return new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+
+  /**
+   * Build the dashboard entry of a PR
+   * @param {Object} summary - PR summary
+   * @param {boolean} isCurrent - Whether the PR is open in the active tab
+   * @returns {HTMLLIElement} The entry
+   */
+  function createDashboardEntry(summary, isCurrent) {
+    const entry = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'dashboard-item';
+    if (isCurrent) button.setAttribute('aria-current', 'page');
+    button.innerHTML = `
+      <span class="dashboard-item-title"></span>
+      <span class="dashboard-item-meta">
+        <span class="dashboard-item-repo"></span>
+        <span class="dashboard-chips"></span>
+      </span>
+    `;
+    button.querySelector('.dashboard-item-title').textContent = summary.title || `#${summary.number}`;
+    button.querySelector('.dashboard-item-repo').textContent = `${summary.repo} #${summary.number}`;
+    button.title = summary.url;
+
+    const chips = [];
+    if (summary.state === 'merged' || summary.state === 'closed' || summary.state === 'draft') {
+      chips.push({ text: summary.state[0].toUpperCase() + summary.state.slice(1), modifier: 'state' });
+    }
+    if (summary.waitingOnMe > 0) {
+      chips.push({ text: `${summary.waitingOnMe} waiting on you`, modifier: 'me' });
+    }
+    chips.push(summary.unresolved > 0
+      ? { text: `${summary.unresolved} unresolved`, modifier: 'unresolved' }
+      : { text: 'All resolved', modifier: 'resolved' });
+    if (summary.lastActivity) {
+      chips.push({ text: `active ${formatTimeAgo(summary.lastActivity)}`, modifier: 'time' });
+    }
+
+    const chipsEl = button.querySelector('.dashboard-chips');
+    chips.forEach(chip => {
+      const chipEl = document.createElement('span');
+      chipEl.className = `dashboard-chip dashboard-chip--${chip.modifier}`;
+      chipEl.textContent = chip.text;
+      chipsEl.appendChild(chipEl);
+    });
+
+    button.addEventListener('click', () => openPullRequest(summary));
+    entry.appendChild(button);
+    return entry;
+  }
+
+  /**
+   * Render the recently visited PRs, most in need of attention first
+   * @param {Array<Object>} summaries - PR summaries
+   */
+  function renderDashboard(summaries) {
+    if (!dashboardList) return;
+
+    const currentKey = getPullRequestKey(currentTab?.url);
+    dashboardList.innerHTML = '';
+    sortByAttention(summaries)
+      .slice(0, CONFIG.MAX_DASHBOARD_PRS)
+      .forEach(summary => {
+        dashboardList.appendChild(createDashboardEntry(summary, summary.key === currentKey));
+      });
+
+    if (summaries.length > 0) {
+      hideElement(dashboardEmpty);
+    } else {
+      showElement(dashboardEmpty);
+    }
+  }
+
+  /**
+   * Load the PR summaries cached by the content script and render them
+   * @returns {Promise<void>}
+   */
+  async function loadDashboard() {
+    try {
+      const all = await chrome.storage.local.get(null);
+      const summaries = Object.keys(all)
+        .filter(key => key.startsWith(SUMMARY_PREFIX))
+        .map(key => all[key])
+        .filter(summary => summary && summary.key && summary.url);
+      renderDashboard(summaries);
+    } catch (error) {
+      console.error('[Popup] Error loading recent pull requests:', error);
+    }
+  }
+
+  /**
+   * Focus the tab where a PR is already open, or open it in a new tab
+   * @param {Object} summary - PR summary
+   * @returns {Promise<void>}
+   */
+  async function openPullRequest(summary) {
+    try {
+      // Host permissions let us see the URLs of GitHub tabs only
+      const tabs = await chrome.tabs.query({ url: 'https://github.com/*' });
+      const existing = tabs.find(tab => getPullRequestKey(tab.url) === summary.key);
+
+      if (existing) {
+        await chrome.tabs.update(existing.id, { active: true });
+        if (chrome.windows) {
+          await chrome.windows.update(existing.windowId, { focused: true });
+        }
+      } else {
+        await chrome.tabs.create({ url: summary.url });
+      }
+      window.close();
+    } catch (error) {
+      console.error('[Popup] Error opening pull request:', error);
+      showError('Could not open the pull request.');
+    }
+  }
+
   // ============================================
   // KEYBOARD NAVIGATION
   // ============================================
@@ -442,12 +1255,15 @@
    */
   function setupKeyboardNavigation() {
     let currentIndex = 0;
-    const buttons = Array.from(sortButtons);
 
     if (sortControls) {
       sortControls.addEventListener('keydown', (e) => {
+        // Leave arrow keys to form controls such as the filter select
+        if (e.target.matches('select, input')) return;
+
         if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
           e.preventDefault();
+          const buttons = Array.from(getSortButtons());
           
           if (e.key === 'ArrowDown') {
             currentIndex = (currentIndex + 1) % buttons.length;
@@ -470,19 +1286,38 @@
    * @param {chrome.tabs.Tab} tab - The current tab
    */
   function setupSortButtonHandlers(tab) {
-    sortButtons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        sortComments(btn.dataset.sort, tab.id);
-      });
+    getSortButtons().forEach(btn => bindSortButton(btn, tab));
+  }
 
-      // Keyboard support for activation
-      btn.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          btn.click();
-        }
-      });
+  /**
+   * Bind click and keyboard handlers to one sort button
+   * @param {HTMLButtonElement} btn - The sort button
+   * @param {chrome.tabs.Tab} tab - The current tab
+   */
+  function bindSortButton(btn, tab) {
+    btn.addEventListener('click', () => {
+      sortComments(btn.dataset.sort, tab.id);
     });
+
+    // Keyboard support for activation
+    btn.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        btn.click();
+      }
+    });
+  }
+
+  /**
+   * Set up filter select change handler
+   * @param {chrome.tabs.Tab} tab - The current tab
+   */
+  function setupFilterHandler(tab) {
+    if (filterSelect) {
+      filterSelect.addEventListener('change', () => {
+        filterComments(filterSelect.value, tab.id);
+      });
+    }
   }
 
   /**
@@ -503,6 +1338,40 @@
         handleMoveMergeToggle(e.target.checked);
       });
     }
+
+    if (collapseBotsToggle) {
+      collapseBotsToggle.addEventListener('change', (e) => {
+        handleCollapseBotsToggle(e.target.checked);
+      });
+    }
+
+    if (loadHiddenToggle) {
+      loadHiddenToggle.addEventListener('change', (e) => {
+        handleLoadHiddenToggle(e.target.checked);
+      });
+    }
+
+    if (botLoginsInput) {
+      botLoginsInput.addEventListener('change', (e) => {
+        handleBotLoginsChange(e.target.value);
+      });
+    }
+
+    [agingDaysInput, staleDaysInput].forEach((input) => {
+      if (input) input.addEventListener('change', handleStalenessChange);
+    });
+
+    if (apiTokenInput) {
+      apiTokenInput.addEventListener('change', (e) => {
+        handleApiTokenChange(e.target.value);
+      });
+    }
+
+    if (apiEndpointInput) {
+      apiEndpointInput.addEventListener('change', (e) => {
+        handleApiEndpointChange(e.target.value);
+      });
+    }
   }
 
   // ============================================
@@ -518,9 +1387,15 @@
       // Show loading state initially
       showLoading();
 
-      // Load saved preferences
+      // Load saved preferences (custom sorts first so their buttons exist)
+      await loadCustomSorts();
       await loadSavedPreference();
+      await loadSavedFilterPreference();
       await loadMovemergePreference();
+      await loadBotPreferences();
+      await loadHiddenItemsPreference();
+      await loadStalenessThresholds();
+      await loadApiSettings();
 
       // Check for onboarding
       await checkOnboarding();
@@ -531,9 +1406,14 @@
       // Setup handlers
       setupOnboardingHandler();
       setupSettingsHandlers();
+      setupCustomSortBuilder();
 
       // Check current tab
       const tab = await checkCurrentTab();
+      currentTab = tab;
+
+      // Recent PRs are listed on any page
+      await loadDashboard();
 
       if (tab) {
         // Ensure content script is loaded
@@ -544,6 +1424,7 @@
 
         // Set up sort button click handlers
         setupSortButtonHandlers(tab);
+        setupFilterHandler(tab);
       }
     } catch (error) {
       console.error('[Popup] Initialization error:', error);